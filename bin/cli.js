@@ -18,20 +18,30 @@ const packageJson = require(path.resolve(__dirname, "../package.json"));
 
 // Import commands
 import initCommand from "../src/commands/init.js";
+import detectCommand from "../src/commands/detect.js";
 import deployCommand from "../src/commands/deploy.js";
+import logsCommand from "../src/commands/logs.js";
+import statusCommand from "../src/commands/status.js";
+import rollbackCommand from "../src/commands/rollback.js";
+import destroyCommand from "../src/commands/destroy.js";
+import envCommand from "../src/commands/env.js";
 import { getConfigValue, setConfig } from "../src/commands/config.js";
+import { resolveAIConfig, PROVIDER_NAMES } from "../src/ai/providers.js";
+import { FRAMEWORK_IDS } from "../src/ai/detectFramework.js";
 
 const program = new Command();
 
-// CLI Header
-console.log(
-  chalk.cyan.bold(`
+// CLI Header (kept off stdout when a command emits machine-readable output)
+if (!process.argv.includes("--json")) {
+  console.log(
+    chalk.cyan.bold(`
 ╔══════════════════════════════════════╗
 ║  🚀 Automated Deploy CLI v${packageJson.version}      ║
 ║   AI-Powered AWS ECS Deployment      ║
 ╚══════════════════════════════════════╝
 `)
-);
+  );
+}
 
 program
   .name("mydeploy")
@@ -70,23 +80,71 @@ program
   .argument("[project-path]", "Path to project directory", ".")
   .option("-f, --force", "Overwrite existing Docker files")
   .option("--no-ai", "Skip AI analysis and use templates")
+  .option("--ai-provider <name>", `AI provider (${PROVIDER_NAMES.join(", ")})`)
+  .option("--model <name>", "Model to use with the AI provider")
+  .option("--ai-base-url <url>", "Base URL for an OpenAI-compatible server")
+  .option("--repair-attempts <n>", "Max AI repair rounds for an invalid Dockerfile", "2")
+  .option("--validate-build", "Also run a trial docker build while validating")
+  .option("--context-budget <tokens>", "Max tokens of project context sent to the AI (default: 6000, or AI_CONTEXT_BUDGET)")
+  .option("--replay", "Use only cached AI responses; no API key or network needed")
+  .option("--record", "Always call the AI and overwrite its cached response")
+  .option("--no-cache", "Neither read nor write the AI response cache")
+  .option("--framework <id>", `Skip detection and use this framework (${FRAMEWORK_IDS.join(", ")})`)
+  .option("--only <services>", "Monorepo: only initialize these services (comma-separated)")
   .action(async (projectPath, options) => {
+    const cacheModes = [
+      options.replay && "replay",
+      options.record && "record",
+      options.cache === false && "off",
+    ].filter(Boolean);
+    if (cacheModes.length > 1) {
+      logger.error("❌ --replay, --record and --no-cache can't be combined");
+      process.exit(1);
+    }
+    options.aiCache = cacheModes[0] || "auto";
+
     if (options.ai !== false) {
-      let geminiKey = await getConfigValue("GEMINI_API_KEY");
-      if (!geminiKey) {
-        logger.warn("⚠️  Gemini API key not found. AI features will be disabled.");
+      let aiConfig;
+      try {
+        aiConfig = resolveAIConfig({
+          provider: options.aiProvider,
+          model: options.model,
+          baseUrl: options.aiBaseUrl,
+        });
+      } catch (err) {
+        logger.error(`❌ ${err.message}`);
+        process.exit(1);
+      }
+
+      if (options.replay) {
+        options.aiConfig = aiConfig;
+        logger.success(`✅ Replaying cached ${aiConfig.label} (${aiConfig.model}) responses.`);
+      } else if (aiConfig.problems.length) {
+        logger.warn(`⚠️  ${aiConfig.label} is not configured. AI features will be disabled.`);
+        aiConfig.problems.forEach((p) => logger.info(`  • ${p.message}`));
         logger.info("You can configure it using:");
-        logger.info(chalk.cyan("mydeploy config set GEMINI_API_KEY <your-key>"));
+        aiConfig.problems.forEach((p) =>
+          logger.info(chalk.cyan(`mydeploy config set ${p.key} <value>`))
+        );
         options.ai = false;
       } else {
-        process.env.GEMINI_API_KEY = geminiKey;
-        logger.success("✅ Gemini API key loaded successfully.");
+        options.aiConfig = aiConfig;
+        logger.success(`✅ Using ${aiConfig.label} (${aiConfig.model}).`);
       }
     }
 
     await initCommand(projectPath, options);
   });
 
+program
+  .command("detect")
+  .description("Show which framework init/deploy would use, and why")
+  .argument("[project-path]", "Path to project directory", ".")
+  .option("--json", "Print the detection report as JSON")
+  .action(async (projectPath, options) => {
+    await detectCommand(projectPath, options);
+  });
+
 program
   .command("config")
   .description("Configure API keys")
@@ -112,6 +170,23 @@ program
     }
   });
 
+program
+  .command("env")
+  .description("Manage the service's environment variables and secrets")
+  .argument("<action>", "set, unset or list")
+  .argument("[name]", "Variable name")
+  .argument("[value]", "Value to set (prompted for with --secret when omitted)")
+  .option("-e, --env <environment>", "Deployment environment", "production")
+  .option("--region <region>", "AWS region")
+  .option("-p, --path <project-path>", "Path to project directory", ".")
+  .option("--secret", "Store the value in SSM Parameter Store instead of mydeploy.yaml")
+  .option("--store <store>", "Where --secret values go: ssm or secretsmanager", "ssm")
+  .action(async (action, name, value, options) => {
+    // Plain variables only live in mydeploy.yaml; secrets live in AWS
+    if (options.secret || action === "unset") await requireAws(options);
+    await envCommand(action, name, value, options);
+  });
+
 program
   .command("deploy")
   .description("Build, push and deploy to AWS ECS")
@@ -122,18 +197,83 @@ program
   .option("--service <name>", "ECS service name")
   .option("--skip-build", "Skip Docker image build")
   .option("--skip-push", "Skip ECR push")
+  .option("--tag <tag>", "Image tag to build and deploy (default: git short SHA)")
+  .option("--framework <id>", "Framework to record for this project (see 'mydeploy detect')")
+  .option("--only <services>", "Monorepo: only deploy these services (comma-separated)")
+  .option("--parallel <n>", "Monorepo: number of images to build at once", "2")
+  .option("--no-ai", "Don't ask the AI to diagnose a failed rollout (the report is still written)")
+  .option("--show-iam", "List what the service's IAM roles can do, then exit without deploying")
   .action(async (projectPath, options) => {
-    if (!process.env.AWS_PROFILE && !process.env.AWS_ACCESS_KEY_ID) {
-      logger.error("❌ AWS credentials not configured");
-      logger.info("Set AWS_PROFILE or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY");
-      process.exit(1);
-    }
+    await requireAws(options);
+    await deployCommand(projectPath, options);
+  });
+
+program
+  .command("logs")
+  .description("Tail the service's CloudWatch logs")
+  .argument("[project-path]", "Path to project directory", ".")
+  .option("-e, --env <environment>", "Deployment environment", "production")
+  .option("--region <region>", "AWS region")
+  .option("--cluster <name>", "ECS cluster name")
+  .option("--service <name>", "ECS service name")
+  .option("-f, --follow", "Keep polling for new log events")
+  .option("--since <duration>", "How far back to start (e.g. 30s, 15m, 1h, 2d)", "10m")
+  .option("--filter <pattern>", "CloudWatch Logs filter pattern")
+  .option("--task <id>", "Only show logs from this task ID")
+  .action(async (projectPath, options) => {
+    await requireAws(options);
+    await logsCommand(projectPath, options);
+  });
 
-    if (!options.region) {
-      options.region = await getConfigValue("AWS_REGION") || process.env.AWS_DEFAULT_REGION || "us-east-1";
+program
+  .command("status")
+  .description("Show live service, deployment and task health")
+  .argument("[project-path]", "Path to project directory", ".")
+  .option("-e, --env <environment>", "Deployment environment", "production")
+  .option("--region <region>", "AWS region")
+  .option("--cluster <name>", "ECS cluster name")
+  .option("--service <name>", "ECS service name")
+  .option("-w, --watch", "Refresh continuously")
+  .option("--interval <seconds>", "Refresh interval for --watch", "10")
+  .option("--json", "Print status as JSON")
+  .action(async (projectPath, options) => {
+    await requireAws(options);
+    await statusCommand(projectPath, options);
+  });
+
+program
+  .command("rollback")
+  .description("Redeploy a previous task definition revision")
+  .argument("[project-path]", "Path to project directory", ".")
+  .option("-e, --env <environment>", "Deployment environment", "production")
+  .option("--region <region>", "AWS region")
+  .option("--cluster <name>", "ECS cluster name")
+  .option("--service <name>", "ECS service name")
+  .option("--to <revision>", "Task definition revision to roll back to")
+  .option("--steps <n>", "Number of revisions to go back")
+  .option("-y, --yes", "Skip the confirmation prompt")
+  .action(async (projectPath, options) => {
+    if (options.to !== undefined && options.steps !== undefined) {
+      logger.error("❌ Use either --to or --steps, not both");
+      process.exit(1);
     }
+    await requireAws(options);
+    await rollbackCommand(projectPath, options);
+  });
 
-    await deployCommand(projectPath, options);
+program
+  .command("destroy")
+  .description("Tear down the AWS resources created for an environment")
+  .argument("[project-path]", "Path to project directory", ".")
+  .option("-e, --env <environment>", "Deployment environment", "production")
+  .option("--region <region>", "AWS region")
+  .option("--cluster <name>", "ECS cluster name")
+  .option("--service <name>", "ECS service name")
+  .option("--keep-images", "Keep the ECR repository and its images")
+  .option("--keep-cluster", "Keep the ECS cluster")
+  .action(async (projectPath, options) => {
+    await requireAws(options);
+    await destroyCommand(projectPath, options);
   });
 
 program.configureOutput({
@@ -160,6 +300,22 @@ process.on("uncaughtException", (error) => {
   process.exit(1);
 });
 
+async function requireAws(options) {
+  if (!process.env.AWS_PROFILE && !process.env.AWS_ACCESS_KEY_ID) {
+    if (options.json) {
+      console.log(JSON.stringify({ error: "AWS credentials not configured" }, null, 2));
+      process.exit(1);
+    }
+    logger.error("❌ AWS credentials not configured");
+    logger.info("Set AWS_PROFILE or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY");
+    process.exit(1);
+  }
+
+  if (!options.region) {
+    options.region = await getConfigValue("AWS_REGION") || process.env.AWS_DEFAULT_REGION || "us-east-1";
+  }
+}
+
 async function performPreflightChecks() {
   const warnings = [];
   try {
@@ -174,9 +330,14 @@ async function performPreflightChecks() {
   } catch {
     warnings.push("AWS CLI not found (optional but recommended)");
   }
-  const geminiKey = await getConfigValue("GEMINI_API_KEY") || process.env.GEMINI_API_KEY;
-  if (!geminiKey && !program.args.includes("config")) {
-    warnings.push("Gemini API key not configured (AI features will be limited)");
+  try {
+    const ai = resolveAIConfig();
+    if (ai.problems.length && !program.args.includes("config")) {
+      const missing = ai.problems.map((p) => p.message).join("; ");
+      warnings.push(`${ai.label} not configured: ${missing} (AI features will be limited)`);
+    }
+  } catch (err) {
+    warnings.push(err.message);
   }
   if (warnings.length > 0 && global.verbose) {
     logger.warn("⚠️  Preflight checks found issues:");
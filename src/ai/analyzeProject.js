@@ -5,111 +5,185 @@ import chalk from "chalk";
 import ejs from "ejs";
 import { fileURLToPath } from "url";
 import Logger from "../utils/logger.js";
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { resolveAIConfig } from "./providers.js";
+import { createCachedProvider } from "./cache.js";
+import { lintDockerfile, formatProblems } from "../utils/dockerfile.js";
+import { tryDockerBuild } from "../utils/docker.js";
+import { inferTemplateVars } from "./templateVars.js";
+import { detectFramework, resolveFramework } from "./detectFramework.js";
+import { buildContext } from "./context.js";
+import { parseRecommendations, RECOMMENDATION_SCHEMA } from "./recommendations.js";
 
 const logger = new Logger();
-const gemini = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /* ------------------------------------------------------------------ */
-/* 1️⃣  FRAMEWORK DETECTION                                            */
+/* 1️⃣  PROMPTS + GENERATE WITH THE CONFIGURED PROVIDER                */
 /* ------------------------------------------------------------------ */
-async function detectFramework(projectPath) {
-  const pj   = path.join(projectPath, "package.json");
-  const req  = path.join(projectPath, "requirements.txt");
-  const gom  = path.join(projectPath, "go.mod");
-  const pom  = path.join(projectPath, "pom.xml");
-
-  if (await fs.pathExists(pj)) {
-    const pkg = JSON.parse(await fs.readFile(pj, "utf8"));
-    if (pkg.dependencies?.express || pkg.devDependencies?.express) {
-      return "node-express";
-    }
-  }
-  if (await fs.pathExists(req)) {
-    if ((await fs.readFile(req, "utf8")).toLowerCase().includes("django"))
-      return "python-django";
-  }
-  if (await fs.pathExists(gom)) return "go";
-  if (await fs.pathExists(pom)) return "java-springboot";
-  return null;
-}
-
-/* ------------------------------------------------------------------ */
-/* 2️⃣  BUILD CONTEXT + GENERATE WITH GEMINI                           */
-/* ------------------------------------------------------------------ */
-async function buildContext(framework, projectPath) {
-  switch (framework) {
-    case "node-express": {
-      const pkg = JSON.parse(
-        await fs.readFile(path.join(projectPath, "package.json"), "utf8")
-      );
-      return `package.json:\n${JSON.stringify(pkg, null, 2)}`;
-    }
-    case "python-django": {
-      const txt = await fs.readFile(
-        path.join(projectPath, "requirements.txt"),
-        "utf8"
-      );
-      return `requirements.txt:\n${txt}`;
-    }
-    case "go": {
-      const mod = await fs.readFile(path.join(projectPath, "go.mod"), "utf8");
-      return `go.mod:\n${mod}`;
-    }
-    case "java-springboot": {
-      const xml = await fs.readFile(path.join(projectPath, "pom.xml"), "utf8");
-      return `pom.xml:\n${xml}`;
-    }
-    default:
-      return "";
-  }
-}
-
-async function generateDockerfile(framework, projectPath) {
-  try {
-    const model   = gemini.getGenerativeModel({ model: "gemini-2.0-flash" });
-    const context = await buildContext(framework, projectPath);
-
-    const prompt = `
+function recommendationPrompt(framework, context) {
+  return `
 You are a senior DevOps engineer.
 
-Generate a production-ready **Dockerfile** for a ${framework.replace(
-      "-",
-      " "
-    )} project.
+Plan a production deployment on AWS ECS Fargate for a ${framework.replace(
+    "-",
+    " "
+  )} project.
 
 Context:
 ${context}
 
-Requirements:
+Dockerfile requirements:
 - Use the best base image for this stack
 - Multi-stage build if it shrinks the final image
 - Expose the correct port
 - Correct entry command
 - Include build steps (npm ci, pip install, go build, mvn package, etc.)
-Return ONLY the Dockerfile (no markdown fences).
-    `.trim();
+- Install dependencies with the package manager and lockfile listed under Toolchain
+- Pin base images to a version (never :latest)
+- Run the final stage as a non-root USER
+- Only COPY files that exist in the project
+
+Also work out the port the app listens on, a health check endpoint if the
+app has one, the names (never values) of environment variables it reads at
+runtime, and the smallest Fargate size that runs it comfortably.
+
+Return ONLY a JSON object with exactly this shape (no markdown fences):
+${RECOMMENDATION_SCHEMA}
+  `.trim();
+}
+
+function correctionPrompt(prompt, problems) {
+  return `${prompt}
+
+Your previous answer was rejected:
+${problems.map((p) => `- ${p}`).join("\n")}
+Return the corrected JSON object only.`;
+}
+
+function repairPrompt(framework, dockerfile, problems) {
+  return `
+You are a senior DevOps engineer.
 
-    const { response } = await model.generateContent(prompt);
-    let dockerfile = response.text().trim();
-    const match = dockerfile.match(/```(?:dockerfile)?\s*([\s\S]*?)```/i);
-    if (match) dockerfile = match[1].trim();
+The following Dockerfile for a ${framework.replace("-", " ")} project failed validation.
 
-    return dockerfile;
+Dockerfile:
+${dockerfile}
+
+Problems:
+${problems}
+
+Fix every problem while keeping the rest of the Dockerfile intact.
+Return ONLY the corrected Dockerfile (no markdown fences).
+  `.trim();
+}
+
+// --verbose shows exactly what leaves the machine
+function showPrompt(title, prompt) {
+  if (!global.verbose) return;
+  logger.subtitle(title);
+  logger.code(prompt);
+}
+
+async function askModel(provider, prompt) {
+  try {
+    return (await provider.generate(prompt)).trim();
   } catch (err) {
-    logger.error("❌ Gemini API error:", err.message);
+    logger.error(`❌ ${provider.label} API error:`, err.message);
+    return null;
+  }
+}
+
+// Ask for the JSON plan; one follow-up round if it fails validation
+async function generateRecommendations(framework, projectPath, provider, { budget, context } = {}) {
+  context ??= await buildContext(framework, projectPath, { budget });
+  const prompt = recommendationPrompt(framework, context.text);
+  const spinID = "ai-plan";
+
+  showPrompt(`Prompt sent to ${provider.label}`, prompt);
+  logger.startSpinner(spinID, `🤖 Generating Dockerfile and deploy settings with ${provider.label}…`);
+  const reply = await askModel(provider, prompt);
+  if (!reply) {
+    logger.failSpinner(spinID, `❌ ${provider.label} failed or returned empty result`);
     return null;
   }
+
+  let { recommendations, problems } = parseRecommendations(reply);
+  if (recommendations) {
+    logger.succeedSpinner(spinID, `✅ Plan generated by ${provider.label} (${provider.model})`);
+    return recommendations;
+  }
+  logger.failSpinner(spinID, `❌ ${provider.label} returned an invalid plan`);
+  console.log(chalk.dim(problems.map((p) => `  • ${p}`).join("\n")));
+
+  const retry = correctionPrompt(prompt, problems);
+  showPrompt(`Prompt sent to ${provider.label} (correction)`, retry);
+  logger.startSpinner(spinID, `🔧 Asking ${provider.label} to correct the plan…`);
+  ({ recommendations, problems } = parseRecommendations((await askModel(provider, retry)) || ""));
+  if (recommendations) {
+    logger.succeedSpinner(spinID, "✅ Received a corrected plan");
+    return recommendations;
+  }
+  logger.failSpinner(spinID, `❌ Plan still invalid: ${problems[0]}`);
+  return null;
+}
+
+function stripFences(text) {
+  let dockerfile = text.trim();
+  const match = dockerfile.match(/```(?:dockerfile)?\s*([\s\S]*?)```/i);
+  if (match) dockerfile = match[1].trim();
+  return dockerfile;
+}
+
+/* ------------------------------------------------------------------ */
+/* 2️⃣  VALIDATE + SELF-REPAIR LOOP                                     */
+/* ------------------------------------------------------------------ */
+async function validateAndRepair(
+  framework,
+  projectPath,
+  dockerfile,
+  provider,
+  { maxRepairs = 2, build = false } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    const problems = await lintDockerfile(dockerfile, projectPath);
+    if (build && !problems.some((p) => p.severity === "error")) {
+      logger.startSpinner("docker-try", "🐳 Trial docker build…");
+      const output = await tryDockerBuild(projectPath, dockerfile);
+      if (output) {
+        logger.failSpinner("docker-try", "❌ Trial build failed");
+        problems.push({ severity: "error", rule: "docker-build", line: null, message: output });
+      } else {
+        logger.succeedSpinner("docker-try", "✅ Trial build succeeded");
+      }
+    }
+
+    if (!problems.length) return { dockerfile, problems };
+    logger.warn(`⚠️  Validation found ${problems.length} problem(s):`);
+    console.log(chalk.dim(formatProblems(problems)));
+
+    if (attempt >= maxRepairs) return { dockerfile, problems };
+
+    const prompt = repairPrompt(framework, dockerfile, formatProblems(problems));
+    showPrompt(`Prompt sent to ${provider.label} (repair ${attempt + 1})`, prompt);
+    logger.startSpinner("docker-fix", `🔧 Asking ${provider.label} to repair (attempt ${attempt + 1}/${maxRepairs})…`);
+    const reply = await askModel(provider, prompt);
+    const repaired = reply && stripFences(reply);
+    if (!repaired) {
+      logger.failSpinner("docker-fix", "❌ Repair attempt returned nothing");
+      return { dockerfile, problems };
+    }
+    logger.succeedSpinner("docker-fix", "✅ Received repaired Dockerfile");
+    dockerfile = repaired;
+  }
 }
 
 /* ------------------------------------------------------------------ */
 /* 3️⃣  FALLBACK TO TEMPLATE                                           */
 /* ------------------------------------------------------------------ */
-async function fallbackTemplate(framework, destPath) {
+async function fallbackTemplate(framework, destPath, vars) {
   const template = path.join(
     __dirname,
-    "../../templates",
+    "../templates",
     `Dockerfile-${framework}.ejs`
   );
 
@@ -118,7 +192,7 @@ async function fallbackTemplate(framework, destPath) {
     return false;
   }
 
-  const rendered = await ejs.renderFile(template, {}, {});
+  const rendered = await ejs.renderFile(template, vars, {});
   await fs.writeFile(destPath, rendered);
   logger.warn("⚠️  Fallback Dockerfile template used.");
   logger.fileOperation("create", destPath);
@@ -130,47 +204,113 @@ async function fallbackTemplate(framework, destPath) {
 /* ------------------------------------------------------------------ */
 async function analyzeProject(
   projectPath,
-  { useAI = true, force = false } = {}
+  {
+    useAI = true,
+    force = false,
+    ai,
+    maxRepairs = 2,
+    build = false,
+    framework: override,
+    contextBudget,
+    cache = "auto",
+    cacheDir,
+  } = {}
 ) {
   logger.title("🔍 Analyzing project…");
 
-  const framework = await detectFramework(projectPath);
+  const { framework, source } = await resolveFramework(projectPath, override);
   if (!framework) {
     logger.error("❌ Unsupported or undetected framework.");
+    logger.info("Run 'mydeploy detect' to see why, or pass --framework <id>.");
     return;
   }
-  logger.success(`📦 Detected: ${framework}`);
+  const how = { flag: "from --framework", manifest: "pinned in mydeploy.yaml", detected: "detected" };
+  logger.success(`📦 Framework: ${framework} (${how[source]})`);
+
+  const vars = await inferTemplateVars(framework, projectPath);
+  logger.debug("Template variables:", vars);
 
   const dockerPath = path.join(projectPath, "Dockerfile");
   if (await fs.pathExists(dockerPath) && !force) {
     logger.warn("⚠️  Dockerfile already exists. Use --force to overwrite.");
-    return;
+    await writeDockerignore(projectPath, framework, null, false);
+    return { framework, source, port: vars.port };
   }
 
-  let content = null;
-  const spinID = "docker-gen";
+  let plan = null;
 
   if (useAI) {
-    logger.startSpinner(spinID, "🤖 Generating Dockerfile with Gemini…");
-    content = await generateDockerfile(framework, projectPath);
-    if (content && content.trim()) {
-      logger.succeedSpinner(spinID, "✅ Dockerfile generated by Gemini");
-    } else {
-      logger.failSpinner(spinID, "❌ Gemini failed or returned empty result");
-      content = null;
+    const provider = createCachedProvider(ai || resolveAIConfig(), { mode: cache, dir: cacheDir });
+    logger.debug("AI provider:", `${provider.provider} (${provider.model}), cache: ${cache}`);
+
+    const context = await buildContext(framework, projectPath, { budget: contextBudget });
+    logger.debug(
+      "AI context:",
+      `${context.tokens}/${context.budget} tokens, ${context.redactions} value(s) redacted`
+    );
+    for (const section of context.sections) {
+      const note = section.dropped ? "dropped" : section.truncated ? "truncated" : `${section.tokens} tokens`;
+      logger.debug(`  ${section.title}:`, note);
+    }
+
+    plan = await generateRecommendations(framework, projectPath, provider, { context });
+    if (plan) {
+      logger.debug("AI recommendations:", { ...plan, dockerfile: undefined, dockerignore: undefined });
+      const result = await validateAndRepair(framework, projectPath, plan.dockerfile, provider, {
+        maxRepairs,
+        build,
+      });
+      // Warnings are acceptable; only unresolved errors fall back to the template
+      if (result.problems.some((p) => p.severity === "error")) {
+        logger.warn("⚠️  Could not produce a valid Dockerfile with AI.");
+        plan = null;
+      } else {
+        plan.dockerfile = result.dockerfile;
+      }
+    }
+
+    if (provider.stats.hits) {
+      logger.info(
+        `♻️  Reused ${provider.stats.hits} cached AI response(s) from ${provider.cacheDir}.` +
+          (cache === "auto" ? " Pass --record for a fresh generation." : "")
+      );
     }
   }
 
-  if (content) {
-    await fs.writeFile(dockerPath, content.trim());
+  if (plan) {
+    await fs.writeFile(dockerPath, plan.dockerfile);
     logger.fileOperation("create", dockerPath);
   } else {
     logger.info("🔄 Falling back to static template…");
-    await fallbackTemplate(framework, dockerPath);
+    await fallbackTemplate(framework, dockerPath, vars);
+  }
+  await writeDockerignore(projectPath, framework, plan?.dockerignore, force);
+  return { framework, source, port: plan?.port ?? vars.port, recommendations: plan };
+}
+
+// The .env file holds AWS keys (see writeEnvKey), so it never enters the image
+async function writeDockerignore(projectPath, framework, content, force) {
+  const file = path.join(projectPath, ".dockerignore");
+  const exists = await fs.pathExists(file);
+  if (exists && !force) {
+    logger.debug(".dockerignore already exists; use --force to overwrite.");
+    return;
+  }
+
+  if (!content) {
+    const family = framework === "static-spa" ? "static" : framework.split("-")[0];
+    content = await ejs.renderFile(path.join(__dirname, "../templates/dockerignore.ejs"), {
+      framework,
+      family,
+    });
   }
+  const lines = content.trim().split(/\r?\n/);
+  if (!lines.some((l) => /^\/?\.env\*?$/.test(l.trim()))) lines.unshift(".env");
+  await fs.writeFile(file, `${lines.join("\n")}\n`);
+  logger.fileOperation(exists ? "update" : "create", file);
 }
 
 /* ------------------------------------------------------------------ */
 /* 5️⃣  NAMED EXPORTS                                                  */
 /* ------------------------------------------------------------------ */
-export { detectFramework, generateDockerfile, analyzeProject };
+export { detectFramework, generateRecommendations, analyzeProject };
@@ -0,0 +1,90 @@
+// src/ai/cache.js
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import fs from "fs-extra";
+import { createProvider } from "./providers.js";
+
+// auto:   reuse a cached response, otherwise call the provider and store it
+// replay: cached responses only; no API key or network needed
+// record: always call the provider and overwrite the cached response
+// off:    neither read nor write the cache
+export const CACHE_MODES = ["auto", "replay", "record", "off"];
+
+export function resolveCacheDir(dir) {
+  return dir || process.env.MYDEPLOY_CACHE_DIR || path.join(os.homedir(), ".mydeploy", "cache");
+}
+
+// The prompt already embeds the project context. Two servers can host the
+// same model name, so a custom endpoint is part of the key too.
+export function cacheKey({ provider, model, baseUrl }, prompt) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ v: 1, provider, model, baseUrl: baseUrl || undefined, prompt }))
+    .digest("hex");
+}
+
+async function readEntry(file) {
+  try {
+    return (await fs.pathExists(file)) ? await fs.readJson(file) : null;
+  } catch {
+    // A corrupt entry is treated as a miss and rewritten
+    return null;
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* Provider wrapper with the same generate(prompt) interface           */
+/* ------------------------------------------------------------------ */
+export function createCachedProvider(config, { mode = "auto", dir } = {}) {
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`Unknown AI cache mode "${mode}". Choose one of: ${CACHE_MODES.join(", ")}`);
+  }
+  if (mode === "off") return { ...createProvider(config), stats: { hits: 0, misses: 0 } };
+
+  const cacheDir = resolveCacheDir(dir);
+  // Replaying never talks to the provider, so it doesn't need credentials
+  const live = mode === "replay" ? null : createProvider(config);
+  const stats = { hits: 0, misses: 0 };
+
+  return {
+    ...config,
+    ...live,
+    cacheDir,
+    stats,
+    async generate(prompt) {
+      const key = cacheKey(config, prompt);
+      const file = path.join(cacheDir, `${key}.json`);
+
+      if (mode !== "record") {
+        const entry = await readEntry(file);
+        if (entry?.response !== undefined) {
+          stats.hits++;
+          return entry.response;
+        }
+        if (mode === "replay") {
+          throw new Error(
+            `no cached response for this prompt (${key.slice(0, 12)}) in ${cacheDir}; run once with --record to capture it`
+          );
+        }
+      }
+
+      stats.misses++;
+      const response = await live.generate(prompt);
+      await fs.outputJson(
+        file,
+        {
+          key,
+          provider: config.provider,
+          model: config.model,
+          baseUrl: config.baseUrl,
+          createdAt: new Date().toISOString(),
+          prompt,
+          response,
+        },
+        { spaces: 2 }
+      );
+      return response;
+    },
+  };
+}
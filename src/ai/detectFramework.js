@@ -0,0 +1,293 @@
+// src/ai/detectFramework.js
+import fs from "fs-extra";
+import path from "path";
+import { loadManifest } from "../utils/manifest.js";
+import { detectNodeToolchain, detectPythonToolchain } from "./toolchain.js";
+
+/* ------------------------------------------------------------------ */
+/* 1️⃣  PROJECT FACTS                                                  */
+/* ------------------------------------------------------------------ */
+async function readText(projectPath, file) {
+  const full = path.join(projectPath, file);
+  return (await fs.pathExists(full)) ? fs.readFile(full, "utf8") : "";
+}
+
+// Lockfiles of the compiled stacks; Node and Python come from the toolchain
+const LOCKFILES = [
+  ["go.sum", "go"],
+  ["Cargo.lock", "cargo"],
+  ["packages.lock.json", "nuget"],
+];
+
+export async function loadProjectFacts(projectPath) {
+  const files = new Set(
+    (await fs.pathExists(projectPath)) ? await fs.readdir(projectPath) : []
+  );
+
+  let pkg = null;
+  if (files.has("package.json")) {
+    try {
+      pkg = JSON.parse(await readText(projectPath, "package.json"));
+    } catch {
+      pkg = {};
+    }
+  }
+
+  // Python dependencies can live in any of these; a lowercase blob is
+  // enough to spot framework names.
+  const pythonManifests = ["requirements.txt", "pyproject.toml", "Pipfile", "setup.py"]
+    .filter((f) => files.has(f));
+  const python = (
+    await Promise.all(pythonManifests.map((f) => readText(projectPath, f)))
+  ).join("\n").toLowerCase();
+
+  const gradleFile = ["build.gradle.kts", "build.gradle"].find((f) => files.has(f));
+  const lockfiles = LOCKFILES.filter(([file]) => files.has(file));
+
+  return {
+    projectPath,
+    files,
+    pkg,
+    nodeDeps: { ...pkg?.dependencies, ...pkg?.devDependencies },
+    nodeToolchain: pkg ? await detectNodeToolchain(projectPath) : null,
+    pythonManifests,
+    python,
+    pythonToolchain: pythonManifests.length ? await detectPythonToolchain(projectPath) : null,
+    gradleFile,
+    gradle: gradleFile ? await readText(projectPath, gradleFile) : "",
+    pom: files.has("pom.xml") ? await readText(projectPath, "pom.xml") : "",
+    dotnetProject: [...files].find((f) => /\.(cs|fs)proj$/.test(f)) || null,
+    lockfiles: lockfiles.map(([file, manager]) => ({ file, manager })),
+  };
+}
+
+const pyDep = (facts, name) =>
+  new RegExp(`(^|[\\s"'\\[,])${name}([\\s"'<>=~!\\[,;]|$)`, "m").test(facts.python);
+
+/* ------------------------------------------------------------------ */
+/* 2️⃣  SIGNAL HELPERS                                                 */
+/* ------------------------------------------------------------------ */
+// Weights are tuned so a backend's manifest + framework dependency (60)
+// always ties or beats the most a static SPA can score, and ties fall
+// back to FRAMEWORKS order.
+const WEIGHTS = { manifest: 10, dependency: 50, entry: 20, lockfile: 10, packageManager: 0 };
+
+const signal = (type, detail, weight = WEIGHTS[type]) => ({ type, detail, weight });
+
+function anyFile(facts, type, candidates, weight) {
+  const found = candidates.filter((f) => facts.files.has(f));
+  return found.length ? [signal(type, found.join(", "), weight)] : [];
+}
+
+function lockfileSignals(facts, managers) {
+  return facts.lockfiles
+    .filter((l) => managers.includes(l.manager))
+    .slice(0, 1)
+    .map((l) => signal("lockfile", `${l.file} (${l.manager})`));
+}
+
+// A workspace-root lockfile still identifies the stack, so it scores too
+function toolchainSignals(toolchain) {
+  const { lockfile, manager, version } = toolchain;
+  return [
+    ...(lockfile ? [signal("lockfile", `${lockfile.path} (${lockfile.manager})`)] : []),
+    signal("packageManager", version ? `${manager}@${version}` : manager),
+  ];
+}
+
+function nodeSignals(facts, dep, entries = []) {
+  return [
+    signal("manifest", "package.json"),
+    signal("dependency", `${dep}@${facts.nodeDeps[dep]}`),
+    ...anyFile(facts, "entry", entries),
+    ...toolchainSignals(facts.nodeToolchain),
+  ];
+}
+
+function pythonSignals(facts, dep, entries = []) {
+  return [
+    signal("manifest", facts.pythonManifests.join(", ")),
+    signal("dependency", dep),
+    ...anyFile(facts, "entry", entries),
+    ...toolchainSignals(facts.pythonToolchain),
+  ];
+}
+
+const FRONTEND_DEPS = ["vite", "react-scripts", "@angular/core", "@vue/cli-service", "react", "vue", "svelte"];
+
+/* ------------------------------------------------------------------ */
+/* 3️⃣  FRAMEWORKS, IN TIE-BREAK ORDER                                 */
+/* ------------------------------------------------------------------ */
+// `match` decides whether a framework is a candidate at all; `signals`
+// explain (and score) why. Order breaks ties: server frameworks by
+// ecosystem (Node, Python, Go, Java, Rust, .NET), then static SPAs last, so
+// a repo whose package.json only carries frontend tooling still resolves to
+// its Python/Go/... backend.
+export const FRAMEWORKS = [
+  {
+    id: "node-nextjs",
+    label: "Next.js",
+    match: (f) => !!f.nodeDeps.next,
+    signals: (f) => nodeSignals(f, "next", ["next.config.js", "next.config.mjs", "next.config.ts"]),
+  },
+  {
+    id: "node-nestjs",
+    label: "NestJS",
+    match: (f) => !!f.nodeDeps["@nestjs/core"],
+    signals: (f) => nodeSignals(f, "@nestjs/core", ["nest-cli.json"]),
+  },
+  {
+    id: "node-fastify",
+    label: "Fastify",
+    match: (f) => !!f.nodeDeps.fastify,
+    signals: (f) => nodeSignals(f, "fastify", ["server.js", "app.js", "index.js"]),
+  },
+  {
+    id: "node-express",
+    label: "Express",
+    match: (f) => !!f.nodeDeps.express,
+    signals: (f) => nodeSignals(f, "express", ["server.js", "app.js", "index.js"]),
+  },
+  {
+    id: "python-django",
+    label: "Django",
+    match: (f) => pyDep(f, "django"),
+    signals: (f) => pythonSignals(f, "django", ["manage.py"]),
+  },
+  {
+    id: "python-fastapi",
+    label: "FastAPI",
+    match: (f) => pyDep(f, "fastapi"),
+    signals: (f) => pythonSignals(f, "fastapi", ["main.py", "app.py"]),
+  },
+  {
+    id: "python-flask",
+    label: "Flask",
+    match: (f) => pyDep(f, "flask"),
+    signals: (f) => pythonSignals(f, "flask", ["app.py", "wsgi.py"]),
+  },
+  {
+    id: "go",
+    label: "Go",
+    match: (f) => f.files.has("go.mod"),
+    signals: (f) => [
+      signal("manifest", "go.mod", 60),
+      ...anyFile(f, "entry", ["main.go", "cmd"]),
+      ...lockfileSignals(f, ["go"]),
+      signal("packageManager", "go modules"),
+    ],
+  },
+  {
+    id: "java-springboot",
+    label: "Spring Boot (Maven)",
+    match: (f) => f.files.has("pom.xml"),
+    signals: (f) => [
+      signal("manifest", "pom.xml"),
+      ...(f.pom.includes("spring-boot") ? [signal("dependency", "spring-boot")] : []),
+      ...anyFile(f, "entry", ["mvnw", "src"]),
+      signal("packageManager", f.files.has("mvnw") ? "maven wrapper" : "maven"),
+    ],
+  },
+  {
+    id: "java-springboot-gradle",
+    label: "Spring Boot (Gradle)",
+    match: (f) => f.gradle.includes("org.springframework.boot"),
+    signals: (f) => [
+      signal("manifest", f.gradleFile),
+      signal("dependency", "org.springframework.boot"),
+      ...anyFile(f, "entry", ["gradlew", "src"]),
+      signal("packageManager", f.files.has("gradlew") ? "gradle wrapper" : "gradle"),
+    ],
+  },
+  {
+    id: "rust",
+    label: "Rust (Cargo)",
+    match: (f) => f.files.has("Cargo.toml"),
+    signals: (f) => [
+      signal("manifest", "Cargo.toml", 60),
+      ...anyFile(f, "entry", ["src"]),
+      ...lockfileSignals(f, ["cargo"]),
+      signal("packageManager", "cargo"),
+    ],
+  },
+  {
+    id: "dotnet",
+    label: ".NET",
+    match: (f) => !!f.dotnetProject,
+    signals: (f) => [
+      signal("manifest", f.dotnetProject, 60),
+      ...anyFile(f, "entry", ["Program.cs", "Program.fs"]),
+      ...lockfileSignals(f, ["nuget"]),
+      signal("packageManager", "nuget"),
+    ],
+  },
+  {
+    id: "static-spa",
+    label: "Static SPA",
+    match: (f) => !!f.pkg?.scripts?.build && FRONTEND_DEPS.some((dep) => f.nodeDeps[dep]),
+    signals: (f) => [
+      signal("manifest", "package.json"),
+      signal("dependency", FRONTEND_DEPS.filter((dep) => f.nodeDeps[dep]).join(", "), 20),
+      signal("entry", `scripts.build: ${f.pkg.scripts.build}`, 10),
+      ...anyFile(f, "entry", ["index.html"], 10),
+      ...toolchainSignals(f.nodeToolchain),
+    ],
+  },
+];
+
+export const FRAMEWORK_IDS = FRAMEWORKS.map((fw) => fw.id);
+
+/* ------------------------------------------------------------------ */
+/* 4️⃣  SCORE + DETECT                                                 */
+/* ------------------------------------------------------------------ */
+function confidenceLevel(score) {
+  if (score >= 70) return "high";
+  if (score >= 50) return "medium";
+  return "low";
+}
+
+// Every matching framework with its score, best first
+export async function scoreFrameworks(projectPath) {
+  const facts = await loadProjectFacts(projectPath);
+  return FRAMEWORKS.map((fw, order) => ({ fw, order }))
+    .filter(({ fw }) => fw.match(facts))
+    .map(({ fw, order }) => {
+      const signals = fw.signals(facts);
+      const score = Math.min(
+        signals.reduce((sum, s) => sum + s.weight, 0),
+        100
+      );
+      return { id: fw.id, label: fw.label, score, confidence: confidenceLevel(score), signals, order };
+    })
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ order, ...candidate }) => candidate);
+}
+
+export async function detectFramework(projectPath) {
+  return (await scoreFrameworks(projectPath))[0]?.id || null;
+}
+
+/* ------------------------------------------------------------------ */
+/* 5️⃣  RESOLVE: --framework → mydeploy.yaml → detection               */
+/* ------------------------------------------------------------------ */
+export function assertFrameworkId(id, where = "--framework") {
+  if (!FRAMEWORK_IDS.includes(id)) {
+    throw new Error(
+      `${where}: unknown framework "${id}". Choose one of: ${FRAMEWORK_IDS.join(", ")}`
+    );
+  }
+  return id;
+}
+
+export async function resolveFramework(projectPath, override) {
+  if (override) {
+    return { framework: assertFrameworkId(override), source: "flag" };
+  }
+
+  const { framework: saved } = await loadManifest(projectPath);
+  if (saved) {
+    return { framework: assertFrameworkId(saved, "mydeploy.yaml framework"), source: "manifest" };
+  }
+
+  return { framework: await detectFramework(projectPath), source: "detected" };
+}
@@ -0,0 +1,30 @@
+// src/ai/diagnoseFailure.js
+import { createProvider } from "./providers.js";
+
+function diagnosisPrompt(report) {
+  return `
+You are a senior DevOps engineer debugging an AWS ECS Fargate service whose
+new deployment never became stable.
+
+Failure report:
+${report}
+
+Using the stopped tasks' reasons and exit codes, the logs, the task definition
+and the Dockerfile, explain what most likely went wrong. Be specific: quote the
+evidence you relied on. Common causes are the app listening on a different port
+than the task definition, a missing environment variable, a failing health
+check, an image that can't be pulled, or too little memory (exit code 137).
+
+Reply in plain text, at most 12 lines, exactly in this form:
+Probable cause: <one or two sentences>
+Evidence: <the lines that show it>
+Suggested fix: <concrete steps, naming the file or setting to change>
+  `.trim();
+}
+
+// Returns the diagnosis text; throws if the provider call fails
+export async function diagnoseFailure(report, aiConfig) {
+  const provider = createProvider(aiConfig);
+  const text = await provider.generate(diagnosisPrompt(report));
+  return text.trim();
+}
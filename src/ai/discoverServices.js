@@ -0,0 +1,108 @@
+// src/ai/discoverServices.js
+import fs from "fs-extra";
+import path from "path";
+import YAML from "yaml";
+import { detectFramework } from "./detectFramework.js";
+
+// Never deployable on their own, and expensive to walk
+const IGNORED_DIRS = new Set([
+  "node_modules", ".git", "dist", "build", "out", "target", "vendor", "coverage",
+  ".next", ".venv", "venv", "__pycache__", "docs", "test", "tests", "scripts",
+]);
+
+/* ------------------------------------------------------------------ */
+/* 1️⃣  CANDIDATE DIRECTORIES                                          */
+/* ------------------------------------------------------------------ */
+async function subdirs(dir) {
+  if (!(await fs.pathExists(dir))) return [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  return entries
+    .filter((e) => e.isDirectory() && !e.name.startsWith(".") && !IGNORED_DIRS.has(e.name))
+    .map((e) => path.join(dir, e.name))
+    .sort();
+}
+
+// npm/yarn "workspaces" and pnpm-workspace.yaml "packages" globs
+async function workspaceGlobs(rootPath) {
+  const globs = [];
+  const pkgPath = path.join(rootPath, "package.json");
+  if (await fs.pathExists(pkgPath)) {
+    try {
+      const { workspaces } = await fs.readJson(pkgPath);
+      globs.push(...(Array.isArray(workspaces) ? workspaces : workspaces?.packages || []));
+    } catch {
+      // unreadable package.json: fall back to the directory scan
+    }
+  }
+  const pnpmPath = path.join(rootPath, "pnpm-workspace.yaml");
+  if (await fs.pathExists(pnpmPath)) {
+    const { packages = [] } = YAML.parse(await fs.readFile(pnpmPath, "utf8")) || {};
+    globs.push(...packages);
+  }
+  return globs.filter((g) => typeof g === "string" && !g.startsWith("!"));
+}
+
+// Only the shapes workspaces actually use: "apps/*", "apps/**", "tools/cli"
+async function expandGlob(rootPath, glob) {
+  const clean = glob.replace(/^\.\//, "").replace(/\/+$/, "");
+  const star = clean.search(/\*/);
+  if (star === -1) return [path.join(rootPath, clean)];
+
+  const base = path.join(rootPath, clean.slice(0, star).replace(/\/$/, ""));
+  const children = await subdirs(base);
+  if (!clean.endsWith("**")) return children;
+  return [...children, ...(await Promise.all(children.map(subdirs))).flat()];
+}
+
+/* ------------------------------------------------------------------ */
+/* 2️⃣  DISCOVER                                                       */
+/* ------------------------------------------------------------------ */
+function serviceName(relPath, taken) {
+  const base = path.basename(relPath).toLowerCase().replace(/[^a-z0-9-]/g, "-").replace(/^-+/, "");
+  if (base && !taken.has(base)) return base;
+  return relPath.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+// Deployable subprojects under rootPath: workspace members first, then any
+// directory up to two levels deep with a detectable framework. A deployable
+// directory's own children are not searched.
+export async function discoverServices(rootPath) {
+  const globs = await workspaceGlobs(rootPath);
+  const candidates = [];
+  for (const glob of globs) candidates.push(...(await expandGlob(rootPath, glob)));
+
+  const found = [];
+  const seen = new Set();
+  const consider = async (dir) => {
+    const rel = path.relative(rootPath, dir).split(path.sep).join("/");
+    if (!rel || rel.startsWith("..")) return false;
+    if (seen.has(rel)) return found.some((s) => s.path === rel);
+    seen.add(rel);
+    const framework = await detectFramework(dir);
+    if (framework) found.push({ path: rel, framework });
+    return !!framework;
+  };
+
+  for (const dir of candidates) await consider(dir);
+  for (const child of await subdirs(rootPath)) {
+    if (await consider(child)) continue;
+    for (const grandchild of await subdirs(child)) await consider(grandchild);
+  }
+
+  const taken = new Set();
+  return found
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .map((s) => {
+      const name = serviceName(s.path, taken);
+      taken.add(name);
+      return { name, ...s };
+    });
+}
+
+// A repository is treated as a monorepo when it declares workspaces, or
+// when the root itself isn't deployable but directories below it are.
+export async function isMonorepo(rootPath, services) {
+  if (!services.length) return false;
+  if ((await workspaceGlobs(rootPath)).length) return true;
+  return !(await detectFramework(rootPath));
+}
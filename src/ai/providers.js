@@ -0,0 +1,130 @@
+// src/ai/providers.js
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import OpenAI from "openai";
+import { generateText } from "ai";
+import { createDeepSeek } from "@ai-sdk/deepseek";
+
+/* ------------------------------------------------------------------ */
+/* 1️⃣  PROVIDER REGISTRY                                              */
+/* ------------------------------------------------------------------ */
+const PROVIDERS = {
+  gemini: {
+    label: "Gemini",
+    keyEnv: "GEMINI_API_KEY",
+    defaultModel: "gemini-2.0-flash",
+  },
+  openai: {
+    label: "OpenAI",
+    keyEnv: "OPENAI_API_KEY",
+    defaultModel: "gpt-4o-mini",
+  },
+  deepseek: {
+    label: "DeepSeek",
+    keyEnv: "DEEPSEEK_API_KEY",
+    defaultModel: "deepseek-chat",
+  },
+  // Any server speaking the OpenAI chat API (Ollama, vLLM, LM Studio…)
+  "openai-compatible": {
+    label: "OpenAI-compatible",
+    keyEnv: "OPENAI_COMPATIBLE_API_KEY",
+    keyOptional: true,
+    requiresBaseUrl: true,
+  },
+};
+
+const ALIASES = { google: "gemini", local: "openai-compatible" };
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/* ------------------------------------------------------------------ */
+/* 2️⃣  RESOLVE CONFIG (flags → AI_* env/config → defaults)            */
+/* ------------------------------------------------------------------ */
+export function resolveAIConfig({ provider, model, baseUrl } = {}) {
+  const raw = (provider || process.env.AI_PROVIDER || "gemini").toLowerCase();
+  const name = ALIASES[raw] || raw;
+  const spec = PROVIDERS[name];
+  if (!spec) {
+    throw new Error(
+      `Unknown AI provider "${raw}". Choose one of: ${PROVIDER_NAMES.join(", ")}`
+    );
+  }
+
+  const config = {
+    provider: name,
+    label: spec.label,
+    keyEnv: spec.keyEnv,
+    apiKey: process.env[spec.keyEnv],
+    model: model || process.env.AI_MODEL || spec.defaultModel,
+    baseUrl: baseUrl || process.env.AI_BASE_URL,
+  };
+
+  // Each problem names the config key that fixes it
+  const problems = [];
+  if (!config.apiKey && !spec.keyOptional) {
+    problems.push({ key: spec.keyEnv, message: `${spec.keyEnv} is not set` });
+  }
+  if (spec.requiresBaseUrl && !config.baseUrl) {
+    problems.push({ key: "AI_BASE_URL", message: "AI_BASE_URL (or --ai-base-url) is required" });
+  }
+  if (!config.model) {
+    problems.push({ key: "AI_MODEL", message: "AI_MODEL (or --model) is required" });
+  }
+  config.problems = problems;
+  return config;
+}
+
+/* ------------------------------------------------------------------ */
+/* 3️⃣  CLIENT FACTORY — every provider exposes generate(prompt)       */
+/* ------------------------------------------------------------------ */
+export function createProvider(config) {
+  if (config.problems?.length) {
+    throw new Error(
+      `${config.label} is not configured: ${config.problems.map((p) => p.message).join("; ")}`
+    );
+  }
+
+  switch (config.provider) {
+    case "gemini": {
+      const client = new GoogleGenerativeAI(config.apiKey);
+      const model = client.getGenerativeModel({ model: config.model });
+      return {
+        ...config,
+        async generate(prompt) {
+          const { response } = await model.generateContent(prompt);
+          return response.text();
+        },
+      };
+    }
+    case "deepseek": {
+      const deepseek = createDeepSeek({
+        apiKey: config.apiKey,
+        ...(config.baseUrl && { baseURL: config.baseUrl }),
+      });
+      return {
+        ...config,
+        async generate(prompt) {
+          const { text } = await generateText({ model: deepseek(config.model), prompt });
+          return text;
+        },
+      };
+    }
+    case "openai":
+    case "openai-compatible": {
+      const client = new OpenAI({
+        // Local servers usually ignore the key, but the SDK insists on one
+        apiKey: config.apiKey || "not-needed",
+        ...(config.baseUrl && { baseURL: config.baseUrl }),
+      });
+      return {
+        ...config,
+        async generate(prompt) {
+          const res = await client.chat.completions.create({
+            model: config.model,
+            messages: [{ role: "user", content: prompt }],
+          });
+          return res.choices[0]?.message?.content || "";
+        },
+      };
+    }
+  }
+}
@@ -0,0 +1,108 @@
+// src/ai/recommendations.js
+import { isValidFargateSize } from "../utils/manifest.js";
+
+// Shown to the model verbatim; keep in sync with parseRecommendations()
+export const RECOMMENDATION_SCHEMA = `{
+  "dockerfile": "<the complete Dockerfile>",
+  "dockerignore": "<the complete .dockerignore>",
+  "port": <port the app listens on inside the container>,
+  "healthCheck": {
+    "path": "<HTTP path that returns 200 when the app is up, e.g. /health>",
+    "command": "<shell command that exits 0 when healthy, using only tools present in the final image>"
+  } or null,
+  "env": ["<NAME of each environment variable the app needs at runtime>"],
+  "cpu": <Fargate CPU units: 256, 512, 1024, 2048 or 4096>,
+  "memory": <Fargate memory in MiB, valid for that CPU size>
+}`;
+
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/* ------------------------------------------------------------------ */
+/* 1️⃣  EXTRACT THE JSON DOCUMENT FROM THE MODEL'S REPLY               */
+/* ------------------------------------------------------------------ */
+function extractJson(text) {
+  let body = text.trim();
+  const fenced = body.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) body = fenced[1].trim();
+  const start = body.indexOf("{");
+  const end = body.lastIndexOf("}");
+  if (start === -1 || end <= start) throw new Error("response is not a JSON object");
+  try {
+    return JSON.parse(body.slice(start, end + 1));
+  } catch (err) {
+    throw new Error(`response is not valid JSON: ${err.message}`);
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* 2️⃣  VALIDATE                                                       */
+/* ------------------------------------------------------------------ */
+// Returns { recommendations } or { problems: [...] } — problems are fed
+// back to the model so it can correct its answer
+export function parseRecommendations(text) {
+  let doc;
+  try {
+    doc = extractJson(text);
+  } catch (err) {
+    return { problems: [err.message] };
+  }
+
+  const problems = [];
+  const str = (v) => typeof v === "string" && v.trim().length > 0;
+
+  if (!str(doc.dockerfile) || !/^\s*FROM\s/im.test(doc.dockerfile)) {
+    problems.push('"dockerfile" must be a Dockerfile with at least one FROM instruction');
+  }
+  if (doc.dockerignore !== undefined && doc.dockerignore !== null && typeof doc.dockerignore !== "string") {
+    problems.push('"dockerignore" must be a string');
+  }
+
+  const port = Number(doc.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    problems.push('"port" must be an integer between 1 and 65535');
+  } else if (str(doc.dockerfile)) {
+    const exposed = [...doc.dockerfile.matchAll(/^\s*EXPOSE\s+(.+)$/gim)]
+      .flatMap((m) => m[1].split(/\s+/))
+      .map((p) => Number.parseInt(p, 10));
+    if (exposed.length && !exposed.includes(port)) {
+      problems.push(`"port" is ${port} but the Dockerfile exposes ${exposed.join(", ")}`);
+    }
+  }
+
+  let healthCheck = null;
+  if (doc.healthCheck) {
+    const { path: hcPath, command } = doc.healthCheck;
+    if (!str(hcPath) || !hcPath.startsWith("/")) {
+      problems.push('"healthCheck.path" must start with /');
+    }
+    if (!str(command)) {
+      problems.push('"healthCheck.command" must be a shell command');
+    }
+    healthCheck = { path: hcPath, command };
+  }
+
+  const env = doc.env ?? [];
+  if (!Array.isArray(env) || env.some((name) => typeof name !== "string" || !ENV_NAME.test(name))) {
+    problems.push('"env" must be a list of environment variable names');
+  }
+
+  const cpu = Number(doc.cpu);
+  const memory = Number(doc.memory);
+  if (!isValidFargateSize(cpu, memory)) {
+    problems.push(`cpu ${doc.cpu} / memory ${doc.memory} is not a valid Fargate size`);
+  }
+
+  if (problems.length) return { problems };
+  return {
+    recommendations: {
+      dockerfile: doc.dockerfile.trim(),
+      dockerignore: doc.dockerignore ? doc.dockerignore.trim() : null,
+      port,
+      healthCheck,
+      // PORT is set by mydeploy itself
+      env: [...new Set(env)].filter((name) => name !== "PORT"),
+      cpu,
+      memory,
+    },
+  };
+}
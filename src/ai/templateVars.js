@@ -0,0 +1,316 @@
+// src/ai/templateVars.js
+import fs from "fs-extra";
+import path from "path";
+import { detectToolchain } from "./toolchain.js";
+
+export const DEFAULT_PORTS = {
+  "node-express": 3000,
+  "node-fastify": 3000,
+  "node-nestjs": 3000,
+  "node-nextjs": 3000,
+  "python-django": 8000,
+  "python-fastapi": 8000,
+  "python-flask": 8000,
+  go: 8080,
+  "java-springboot": 8080,
+  "java-springboot-gradle": 8080,
+  rust: 8080,
+  dotnet: 8080,
+  "static-spa": 8080,
+};
+
+/* ------------------------------------------------------------------ */
+/* 1️⃣  SMALL FILE HELPERS                                             */
+/* ------------------------------------------------------------------ */
+async function readIfExists(...segments) {
+  const file = path.join(...segments);
+  return (await fs.pathExists(file)) ? fs.readFile(file, "utf8") : null;
+}
+
+async function readJson(...segments) {
+  const text = await readIfExists(...segments);
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+// First capture group of the first regex that matches any of the files
+async function scan(projectPath, files, regexes) {
+  for (const file of files) {
+    const text = await readIfExists(projectPath, file);
+    if (!text) continue;
+    for (const re of regexes) {
+      const match = text.match(re);
+      if (match) return match[1];
+    }
+  }
+  return null;
+}
+
+const majorMinor = (v) => (v ? (String(v).match(/\d+(?:\.\d+)?/) || [null])[0] : null);
+
+/* ------------------------------------------------------------------ */
+/* 2️⃣  PER-FRAMEWORK INFERENCE                                        */
+/* ------------------------------------------------------------------ */
+async function nodeVars(projectPath) {
+  const pkg = (await readJson(projectPath, "package.json")) || {};
+  const start = pkg.scripts?.start;
+
+  // "node server.js --flag" → run it directly; anything fancier → npm start
+  let entry = pkg.main || "index.js";
+  let cmd = ["node", entry];
+  if (start) {
+    const direct = start.match(/^node\s+([^\s&|;]+)\s*$/);
+    if (direct) {
+      entry = direct[1];
+      cmd = ["node", entry];
+    } else {
+      cmd = ["npm", "start"];
+    }
+  }
+
+  const nvmrc =
+    (await readIfExists(projectPath, ".nvmrc")) ||
+    (await readIfExists(projectPath, ".node-version"));
+  const nodeVersion =
+    (nvmrc && (nvmrc.trim().match(/\d+/) || [])[0]) ||
+    ((pkg.engines?.node || "").match(/\d+/) || [])[0] ||
+    "20";
+
+  const port = await scan(projectPath, [entry, "app.js", "server.js", "index.js", "src/index.js"], [
+    /process\.env\.PORT\s*(?:\|\||\?\?)\s*(\d{2,5})/,
+    /\.listen\(\s*(\d{2,5})/,
+  ]);
+
+  return { nodeVersion, entry, cmd, port };
+}
+
+async function djangoVars(projectPath) {
+  const settingsModule = await scan(projectPath, ["manage.py"], [
+    /DJANGO_SETTINGS_MODULE["']\s*,\s*["']([\w.]+)["']/,
+  ]);
+  let wsgiModule = settingsModule
+    ? `${settingsModule.replace(/\.settings(\.\w+)?$/, "")}.wsgi`
+    : null;
+  if (!wsgiModule) {
+    for (const dir of await fs.readdir(projectPath)) {
+      if (await fs.pathExists(path.join(projectPath, dir, "wsgi.py"))) {
+        wsgiModule = `${dir}.wsgi`;
+        break;
+      }
+    }
+  }
+
+  const install = await pythonInstallVars(projectPath);
+
+  return {
+    ...install,
+    wsgiModule: wsgiModule || "config.wsgi",
+    hasGunicorn: /\bgunicorn\b/.test(install.dependencyText),
+    port: null,
+  };
+}
+
+// Shared by every Python template; the install steps come from the toolchain
+async function pythonInstallVars(projectPath) {
+  const manifests = await Promise.all(
+    ["requirements.txt", "pyproject.toml", "Pipfile"].map((f) => readIfExists(projectPath, f))
+  );
+  const versionFile =
+    (await readIfExists(projectPath, ".python-version")) ||
+    (await readIfExists(projectPath, "runtime.txt"));
+
+  return {
+    pythonVersion: majorMinor(versionFile) || "3.11",
+    dependencyText: manifests.filter(Boolean).join("\n").toLowerCase(),
+  };
+}
+
+// Find "<module>:<variable>" for an ASGI/WSGI app object, e.g. "main:app"
+async function findAppObject(projectPath, constructor, candidates) {
+  for (const file of candidates) {
+    const text = await readIfExists(projectPath, file);
+    const match = text?.match(new RegExp(`^(\\w+)\\s*=\\s*${constructor}\\(`, "m"));
+    if (match) return `${file.replace(/\.py$/, "").replace(/\//g, ".")}:${match[1]}`;
+  }
+  return null;
+}
+
+async function flaskVars(projectPath) {
+  const install = await pythonInstallVars(projectPath);
+  return {
+    ...install,
+    appObject:
+      (await findAppObject(projectPath, "Flask", ["app.py", "wsgi.py", "main.py", "app/__init__.py"])) ||
+      "app:app",
+    hasGunicorn: /\bgunicorn\b/.test(install.dependencyText),
+    port: null,
+  };
+}
+
+async function fastapiVars(projectPath) {
+  const install = await pythonInstallVars(projectPath);
+  return {
+    ...install,
+    appObject:
+      (await findAppObject(projectPath, "FastAPI", ["main.py", "app.py", "app/main.py", "src/main.py"])) ||
+      "main:app",
+    hasUvicorn: /\buvicorn\b/.test(install.dependencyText),
+    port: null,
+  };
+}
+
+async function findGoMainPackage(projectPath) {
+  const isMain = async (dir) => {
+    if (!(await fs.pathExists(dir))) return false;
+    for (const f of await fs.readdir(dir)) {
+      if (!f.endsWith(".go") || f.endsWith("_test.go")) continue;
+      if (/^package\s+main\b/m.test(await fs.readFile(path.join(dir, f), "utf8"))) return true;
+    }
+    return false;
+  };
+
+  if (await isMain(projectPath)) return ".";
+  const cmdDir = path.join(projectPath, "cmd");
+  if (await fs.pathExists(cmdDir)) {
+    for (const name of (await fs.readdir(cmdDir)).sort()) {
+      if (await isMain(path.join(cmdDir, name))) return `./cmd/${name}`;
+    }
+  }
+  return ".";
+}
+
+async function goVars(projectPath) {
+  const goMod = (await readIfExists(projectPath, "go.mod")) || "";
+  const mainPackage = await findGoMainPackage(projectPath);
+  const mainDir = path.join(projectPath, mainPackage);
+  const mainFiles = (await fs.pathExists(mainDir))
+    ? (await fs.readdir(mainDir)).filter((f) => f.endsWith(".go")).map((f) => path.join(mainPackage, f))
+    : [];
+
+  return {
+    goVersion: majorMinor((goMod.match(/^go\s+(\S+)/m) || [])[1]) || "1.22",
+    mainPackage,
+    port: await scan(projectPath, mainFiles, [
+      /["']:(\d{2,5})["']/,
+      /Getenv\("PORT"\)[\s\S]{0,80}?["'](\d{2,5})["']/,
+    ]),
+  };
+}
+
+async function springVars(projectPath) {
+  const pom = (await readIfExists(projectPath, "pom.xml")) || "";
+  const javaVersion =
+    (pom.match(/<java\.version>\s*(\d+)/) ||
+      pom.match(/<maven\.compiler\.(?:release|target)>\s*(?:1\.)?(\d+)/) ||
+      [])[1] || "21";
+
+  const port = await scan(
+    projectPath,
+    ["src/main/resources/application.properties", "src/main/resources/application.yml", "src/main/resources/application.yaml"],
+    [/server\.port\s*[=:]\s*(\d{2,5})/, /server:\s*\n\s+port:\s*(\d{2,5})/]
+  );
+
+  return { javaVersion, port };
+}
+
+async function gradleVars(projectPath) {
+  const build =
+    (await readIfExists(projectPath, "build.gradle.kts")) ||
+    (await readIfExists(projectPath, "build.gradle")) ||
+    "";
+  const javaVersion =
+    (build.match(/languageVersion(?:\.set)?\s*[=(]\s*JavaLanguageVersion\.of\((\d+)\)/) ||
+      build.match(/sourceCompatibility\s*=\s*(?:JavaVersion\.VERSION_)?['"]?(?:1[._])?(\d+)/) ||
+      [])[1] || "21";
+
+  const { port } = await springVars(projectPath);
+  return { javaVersion, port };
+}
+
+async function rustVars(projectPath) {
+  const cargo = (await readIfExists(projectPath, "Cargo.toml")) || "";
+  const toolchainFile =
+    (await readIfExists(projectPath, "rust-toolchain.toml")) ||
+    (await readIfExists(projectPath, "rust-toolchain")) ||
+    "";
+  const toolchainVersion =
+    toolchainFile.match(/channel\s*=\s*"(\d[\d.]*)"/)?.[1] ||
+    toolchainFile.trim().match(/^\d[\d.]*/)?.[0];
+  const binName =
+    (cargo.match(/\[\[bin\]\][^[]*?name\s*=\s*"([^"]+)"/) ||
+      cargo.match(/\[package\][^[]*?name\s*=\s*"([^"]+)"/) ||
+      [])[1] || "app";
+
+  return {
+    rustVersion:
+      majorMinor(toolchainVersion) ||
+      majorMinor(cargo.match(/rust-version\s*=\s*"([^"]+)"/)?.[1]) ||
+      "1.79",
+    binName,
+    port: await scan(projectPath, ["src/main.rs"], [/(?:0\.0\.0\.0|127\.0\.0\.1|localhost)[:"', ]+(\d{2,5})/]),
+  };
+}
+
+async function dotnetVars(projectPath) {
+  const projectFile = (await fs.readdir(projectPath)).find((f) => /\.(cs|fs)proj$/.test(f));
+  const xml = projectFile ? await fs.readFile(path.join(projectPath, projectFile), "utf8") : "";
+  return {
+    dotnetVersion: (xml.match(/<TargetFramework>net(\d+\.\d+)/) || [])[1] || "8.0",
+    projectFile: projectFile || "app.csproj",
+    assemblyName:
+      (xml.match(/<AssemblyName>([^<]+)</) || [])[1] ||
+      (projectFile ? projectFile.replace(/\.(cs|fs)proj$/, "") : "app"),
+    port: null,
+  };
+}
+
+async function staticSpaVars(projectPath) {
+  const { nodeVersion } = await nodeVars(projectPath);
+  const pkg = (await readJson(projectPath, "package.json")) || {};
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+
+  let outputDir = "dist";
+  if (deps["react-scripts"]) outputDir = "build";
+  if (deps["@angular/core"]) {
+    const angular = await readJson(projectPath, "angular.json");
+    const project = angular && Object.values(angular.projects || {})[0];
+    outputDir = project?.architect?.build?.options?.outputPath || `dist/${pkg.name || "app"}`;
+    // Angular 17+ application builder nests the site under browser/
+    if (project?.architect?.build?.builder?.endsWith(":application")) outputDir += "/browser";
+  }
+
+  return { nodeVersion, outputDir, port: null };
+}
+
+/* ------------------------------------------------------------------ */
+/* 3️⃣  ENTRY POINT                                                    */
+/* ------------------------------------------------------------------ */
+const INFERRERS = {
+  "node-express": nodeVars,
+  "node-fastify": nodeVars,
+  "node-nestjs": nodeVars,
+  "node-nextjs": nodeVars,
+  "python-django": djangoVars,
+  "python-fastapi": fastapiVars,
+  "python-flask": flaskVars,
+  go: goVars,
+  "java-springboot": springVars,
+  "java-springboot-gradle": gradleVars,
+  rust: rustVars,
+  dotnet: dotnetVars,
+  "static-spa": staticSpaVars,
+};
+
+export async function inferTemplateVars(framework, projectPath) {
+  const infer = INFERRERS[framework];
+  const vars = infer ? await infer(projectPath) : {};
+  return {
+    ...vars,
+    framework,
+    toolchain: await detectToolchain(framework, projectPath),
+    port: Number(vars.port) || DEFAULT_PORTS[framework] || 3000,
+  };
+}
@@ -0,0 +1,288 @@
+// src/ai/toolchain.js
+import fs from "fs-extra";
+import path from "path";
+
+/* ------------------------------------------------------------------ */
+/* 1️⃣  HELPERS                                                        */
+/* ------------------------------------------------------------------ */
+const exists = (...segments) => fs.pathExists(path.join(...segments));
+
+async function readJson(file) {
+  try {
+    return (await fs.pathExists(file)) ? await fs.readJson(file) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Lockfile as seen from the project directory. `inContext` is false when it
+// sits in a workspace root above the Docker build context.
+function lockfileInfo(projectPath, dir, file, manager) {
+  return {
+    file,
+    manager,
+    path: path.relative(projectPath, path.join(dir, file)) || file,
+    inContext: path.resolve(dir) === path.resolve(projectPath),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* 2️⃣  NODE: npm / yarn (classic + berry) / pnpm / bun                */
+/* ------------------------------------------------------------------ */
+const NODE_LOCKFILES = [
+  ["pnpm-lock.yaml", "pnpm"],
+  ["yarn.lock", "yarn"],
+  ["bun.lock", "bun"],
+  ["bun.lockb", "bun"],
+  ["package-lock.json", "npm"],
+  ["npm-shrinkwrap.json", "npm"],
+];
+
+async function findNodeLockfile(dir) {
+  for (const [file, manager] of NODE_LOCKFILES) {
+    if (await exists(dir, file)) return { dir, file, manager };
+  }
+  return null;
+}
+
+// Nearest ancestor that declares workspaces, stopping at the repo root
+async function findWorkspaceRoot(projectPath) {
+  let dir = path.dirname(path.resolve(projectPath));
+  while (dir !== path.dirname(dir)) {
+    if (await exists(dir, "pnpm-workspace.yaml")) return dir;
+    if ((await readJson(path.join(dir, "package.json")))?.workspaces) return dir;
+    if (await exists(dir, ".git")) return null;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+function nodeCommands(manager, frozen, berry) {
+  switch (manager) {
+    case "pnpm": {
+      const install = `pnpm install ${frozen ? "--frozen-lockfile" : "--no-frozen-lockfile"}`;
+      return { install, installProd: `${install} --prod`, run: "pnpm run", prune: "pnpm prune --prod" };
+    }
+    case "yarn":
+      if (berry) {
+        // Berry can't skip devDependencies without the workspace-tools plugin
+        const install = frozen ? "yarn install --immutable" : "yarn install";
+        return { install, installProd: install, run: "yarn run", prune: null };
+      }
+      return {
+        install: frozen ? "yarn install --frozen-lockfile" : "yarn install",
+        installProd: `yarn install${frozen ? " --frozen-lockfile" : ""} --production`,
+        run: "yarn run",
+        prune: `rm -rf node_modules && yarn install${frozen ? " --frozen-lockfile" : ""} --production`,
+      };
+    case "bun": {
+      const install = frozen ? "bun install --frozen-lockfile" : "bun install";
+      return {
+        install,
+        installProd: `${install} --production`,
+        run: "bun run",
+        prune: `rm -rf node_modules && ${install} --production`,
+      };
+    }
+    default:
+      return {
+        install: frozen ? "npm ci" : "npm install",
+        installProd: frozen ? "npm ci --omit=dev" : "npm install --omit=dev",
+        run: "npm run",
+        prune: "npm prune --omit=dev",
+      };
+  }
+}
+
+export async function detectNodeToolchain(projectPath) {
+  const pkg = (await readJson(path.join(projectPath, "package.json"))) || {};
+  const local = await findNodeLockfile(projectPath);
+  const workspaceRoot = await findWorkspaceRoot(projectPath);
+  const rootLock = !local && workspaceRoot ? await findNodeLockfile(workspaceRoot) : null;
+  const rootPkg = workspaceRoot ? await readJson(path.join(workspaceRoot, "package.json")) : null;
+
+  // "packageManager": "pnpm@9.1.0" is authoritative; lockfiles come next
+  const declared = (pkg.packageManager || rootPkg?.packageManager || "")
+    .match(/^(npm|yarn|pnpm|bun)@(\d[\w.+-]*)/);
+  const found = local || rootLock;
+  const manager =
+    declared?.[1] ||
+    found?.manager ||
+    (workspaceRoot && (await exists(workspaceRoot, "pnpm-workspace.yaml")) ? "pnpm" : "npm");
+  const version = declared?.[2] || null;
+
+  const lockfile = found ? lockfileInfo(projectPath, found.dir, found.file, found.manager) : null;
+  const frozen = !!lockfile?.inContext && lockfile.manager === manager;
+  const berry =
+    manager === "yarn" &&
+    (Number(version?.split(".")[0]) >= 2 || (await exists(projectPath, ".yarnrc.yml")));
+
+  let setup = null;
+  if (manager === "pnpm" || manager === "yarn") setup = "corepack enable";
+  if (manager === "bun") setup = `npm install -g bun${version ? `@${version}` : ""}`;
+
+  const configFiles = [".npmrc", ".yarnrc", ".yarnrc.yml", "pnpm-workspace.yaml", "bunfig.toml"];
+  const copy = ["package.json"];
+  if (frozen) copy.push(lockfile.file);
+  for (const file of configFiles) {
+    if (await exists(projectPath, file)) copy.push(file);
+  }
+
+  return {
+    ecosystem: "node",
+    manager,
+    version,
+    berry,
+    lockfile,
+    frozen,
+    workspaceRoot: workspaceRoot ? path.relative(projectPath, workspaceRoot) : null,
+    setup,
+    copy,
+    hasYarnDir: berry && (await exists(projectPath, ".yarn", "releases")),
+    ...nodeCommands(manager, frozen, berry),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* 3️⃣  PYTHON: pip / uv / poetry / pipenv                             */
+/* ------------------------------------------------------------------ */
+async function findUpToRepoRoot(projectPath, file) {
+  let dir = path.resolve(projectPath);
+  for (;;) {
+    if (await exists(dir, file)) return dir;
+    if (await exists(dir, ".git") || dir === path.dirname(dir)) return null;
+    dir = path.dirname(dir);
+  }
+}
+
+export async function detectPythonToolchain(projectPath) {
+  const pyproject = (await exists(projectPath, "pyproject.toml"))
+    ? await fs.readFile(path.join(projectPath, "pyproject.toml"), "utf8")
+    : "";
+  const local = (file) => exists(projectPath, file);
+  const base = { ecosystem: "python", lockfile: null, frozen: false };
+
+  // An explicit requirements.txt is usually the deploy export, so it wins
+  if (await local("requirements.txt")) {
+    return { ...base, manager: "pip", manifest: "requirements.txt" };
+  }
+
+  if (pyproject) {
+    // uv workspaces keep one uv.lock at the root
+    const uvDir = await findUpToRepoRoot(projectPath, "uv.lock");
+    if (uvDir || pyproject.includes("[tool.uv")) {
+      const lockfile = uvDir ? lockfileInfo(projectPath, uvDir, "uv.lock", "uv") : null;
+      return { ...base, manager: "uv", manifest: "pyproject.toml", lockfile, frozen: !!lockfile?.inContext };
+    }
+    if (pyproject.includes("[tool.poetry") || (await local("poetry.lock"))) {
+      const lockfile = (await local("poetry.lock"))
+        ? lockfileInfo(projectPath, projectPath, "poetry.lock", "poetry")
+        : null;
+      return { ...base, manager: "poetry", manifest: "pyproject.toml", lockfile, frozen: !!lockfile };
+    }
+  }
+
+  if (await local("Pipfile")) {
+    const lockfile = (await local("Pipfile.lock"))
+      ? lockfileInfo(projectPath, projectPath, "Pipfile.lock", "pipenv")
+      : null;
+    return { ...base, manager: "pipenv", manifest: "Pipfile", lockfile, frozen: !!lockfile };
+  }
+
+  return { ...base, manager: "pip", manifest: pyproject ? "pyproject.toml" : "setup.py" };
+}
+
+/* ------------------------------------------------------------------ */
+/* 4️⃣  COMPILED STACKS: build tool + lockfile                         */
+/* ------------------------------------------------------------------ */
+// A wrapper script only works alongside its properties directory
+async function detectJavaToolchain(projectPath) {
+  if (await exists(projectPath, "pom.xml")) {
+    return {
+      ecosystem: "java",
+      manager: "maven",
+      wrapper: (await exists(projectPath, "mvnw")) && (await exists(projectPath, ".mvn", "wrapper")),
+    };
+  }
+  return {
+    ecosystem: "java",
+    manager: "gradle",
+    wrapper: (await exists(projectPath, "gradlew")) && (await exists(projectPath, "gradle", "wrapper")),
+  };
+}
+
+async function detectGoToolchain(projectPath) {
+  const hasSum = await exists(projectPath, "go.sum");
+  const workDir = await findUpToRepoRoot(projectPath, "go.work");
+  return {
+    ecosystem: "go",
+    manager: "go",
+    lockfile: hasSum ? lockfileInfo(projectPath, projectPath, "go.sum", "go") : null,
+    frozen: hasSum,
+    vendor: await exists(projectPath, "vendor", "modules.txt"),
+    workspaceRoot: workDir ? path.relative(projectPath, workDir) || "." : null,
+  };
+}
+
+async function detectRustToolchain(projectPath) {
+  // Cargo workspaces keep Cargo.lock next to the root Cargo.toml
+  const lockDir = await findUpToRepoRoot(projectPath, "Cargo.lock");
+  const lockfile = lockDir ? lockfileInfo(projectPath, lockDir, "Cargo.lock", "cargo") : null;
+  return { ecosystem: "rust", manager: "cargo", lockfile, frozen: !!lockfile?.inContext };
+}
+
+async function detectDotnetToolchain(projectPath) {
+  const hasLock = await exists(projectPath, "packages.lock.json");
+  return {
+    ecosystem: "dotnet",
+    manager: "nuget",
+    lockfile: hasLock ? lockfileInfo(projectPath, projectPath, "packages.lock.json", "nuget") : null,
+    frozen: hasLock,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* 5️⃣  ENTRY POINTS                                                   */
+/* ------------------------------------------------------------------ */
+export async function detectToolchain(framework, projectPath) {
+  if (!framework) return null;
+  const family = framework === "static-spa" ? "node" : framework.split("-")[0];
+  switch (family) {
+    case "node":
+      return detectNodeToolchain(projectPath);
+    case "python":
+      return detectPythonToolchain(projectPath);
+    case "java":
+      return detectJavaToolchain(projectPath);
+    case "go":
+      return detectGoToolchain(projectPath);
+    case "rust":
+      return detectRustToolchain(projectPath);
+    case "dotnet":
+      return detectDotnetToolchain(projectPath);
+    default:
+      return null;
+  }
+}
+
+// One line per fact, for the AI prompt
+export function describeToolchain(tc) {
+  if (!tc) return "";
+  const lines = [`Package manager / build tool: ${tc.manager}${tc.version ? ` ${tc.version}` : ""}`];
+  if (tc.wrapper !== undefined) lines.push(`Wrapper script: ${tc.wrapper ? "yes" : "no"}`);
+  if (tc.lockfile) {
+    lines.push(
+      tc.lockfile.inContext
+        ? `Lockfile: ${tc.lockfile.file} (use a frozen/locked install)`
+        : `Lockfile: ${tc.lockfile.path}, outside the Docker build context — do not COPY it`
+    );
+  } else if (tc.lockfile === null) {
+    lines.push("Lockfile: none");
+  }
+  if (tc.workspaceRoot) lines.push(`Workspace root: ${tc.workspaceRoot}`);
+  if (tc.setup) lines.push(`Setup: ${tc.setup}`);
+  if (tc.install) lines.push(`Install: ${tc.install} (production only: ${tc.installProd})`);
+  if (tc.run) lines.push(`Run scripts with: ${tc.run} <script>`);
+  if (tc.vendor) lines.push("Dependencies are vendored (build with -mod=vendor)");
+  return lines.join("\n");
+}
@@ -2,9 +2,11 @@ import {
   ECSClient,
   CreateClusterCommand,
   DescribeClustersCommand,
+  DescribeTaskDefinitionCommand,
   RegisterTaskDefinitionCommand,
   CreateServiceCommand,
   DescribeServicesCommand,
+  UpdateServiceCommand,
 } from "@aws-sdk/client-ecs";
 
 import {
@@ -13,31 +15,40 @@ import {
   DescribeRepositoriesCommand,
 } from "@aws-sdk/client-ecr";
 
-import {
-  IAMClient,
-  CreateRoleCommand,
-  AttachRolePolicyCommand,
-  GetRoleCommand,
-} from "@aws-sdk/client-iam";
+import { IAMClient } from "@aws-sdk/client-iam";
 
-import {
-  EC2Client,
-  DescribeVpcsCommand,
-  DescribeSubnetsCommand,
-  DescribeSecurityGroupsCommand,
-  CreateSecurityGroupCommand,
-  AuthorizeSecurityGroupIngressCommand,
-} from "@aws-sdk/client-ec2";
+import { EC2Client } from "@aws-sdk/client-ec2";
 
 import { STSClient, GetCallerIdentityCommand } from "@aws-sdk/client-sts";
+import { ElasticLoadBalancingV2Client } from "@aws-sdk/client-elastic-load-balancing-v2";
+import { ensureLoadBalancer, loadBalancerNames, planLoadBalancer } from "./loadBalancer.js";
+import { ensureNetwork, planNetwork, loadBalancerSubnets } from "./network.js";
+import {
+  desiredIngress,
+  ensureServiceSecurityGroup,
+  findSecurityGroup,
+  planServiceSecurityGroup,
+} from "./securityGroup.js";
+import {
+  ensureProjectRole,
+  executionRoleConfig,
+  executionRoleName,
+  planProjectRole,
+  taskRoleName,
+} from "./iam.js";
 import Logger from "../utils/logger.js";
+import { resolveImageDigest } from "./deployToECS.js";
+import { maskSensitiveValue } from "../utils/env.js";
 const logger = new Logger();
 
+
 /* ────────────────────────── MAIN ────────────────────────── */
 export async function createResources({
   clusterName,
   serviceName,
   repositoryName,
+  repositoryUri: knownRepositoryUri,
+  image,
   region = "us-east-1",
   taskDef = {},
 }) {
@@ -51,41 +62,75 @@ export async function createResources({
 
   const accountId = (await sts.send(new GetCallerIdentityCommand({}))).Account;
 
-  const repositoryUri = await ensureECR(ecr, repositoryName);
+  // First, so a bad network setting fails before anything else is created
+  const network = await ensureNetwork(ec2, taskDef.network || {}, region);
+
+  const repositoryUri =
+    knownRepositoryUri || (await ensureECR(ecr, repositoryName));
 
   const clusterArn = await ensureCluster(ecs, clusterName);
 
-  const executionRoleArn = await ensureRole(
-    iam,
+  const executionRole = await ensureProjectRole(iam, {
+    roleName: executionRoleName(repositoryName),
     accountId,
-    "ecsTaskExecutionRole",
-    "arn:aws:iam::aws:policy/service-role/AmazonECSTaskExecutionRolePolicy"
-  );
-  const taskRoleArn = await ensureRole(
-    iam,
+    config: executionRoleConfig(taskDef.secrets),
+    label: "Execution role",
+  });
+  const executionRoleArn = executionRole.arn;
+  const taskRole = await ensureProjectRole(iam, {
+    roleName: taskRoleName(repositoryName),
     accountId,
-    "ecsTaskRole",
-    "arn:aws:iam::aws:policy/CloudWatchLogsFullAccess"
-  );
+    config: taskDef.iam || { managedPolicies: [], policies: {} },
+    label: "Task role",
+  });
+  const taskRoleArn = taskRole.arn;
 
-  const networkConfig = await getNetworkConfig(ec2, repositoryName);
+  const params = taskDefParams({ repositoryName, image, executionRoleArn, taskRoleArn, taskDef, region });
 
-  const taskDefinitionArn = await registerTaskDefinition(ecs, {
-    repositoryName,
-    repositoryUri,
-    executionRoleArn,
-    taskRoleArn,
-    containerPort: taskDef.containerPort || 3000,
-    cpu: taskDef.cpu || "256",
-    memory: taskDef.memory || "512",
-    region,
+  let loadBalancer = null;
+  if (taskDef.loadBalancer) {
+    loadBalancer = await ensureLoadBalancer(new ElasticLoadBalancingV2Client({ region }), ec2, {
+      repositoryName,
+      containerPort: params.containerPort,
+      vpcId: network.vpcId,
+      subnets: loadBalancerSubnets(network, taskDef.loadBalancer),
+      config: taskDef.loadBalancer,
+      healthCheck: taskDef.healthCheck,
+    });
+  }
+
+  const ingress = await ensureServiceSecurityGroup(ec2, {
+    project: repositoryName,
+    vpcId: network.vpcId,
+    rules: desiredIngress({
+      containerPort: params.containerPort,
+      ingress: taskDef.ingress,
+      loadBalancerGroupId: loadBalancer?.securityGroupId,
+    }),
   });
 
+  const taskDefinitionArn = await registerTaskDefinition(ecs, params);
+
   const serviceArn = await ensureService(ecs, {
     clusterName,
     serviceName,
     taskDefinitionArn,
-    networkConfig,
+    networkConfig: {
+      subnets: network.subnets.map((s) => s.id),
+      securityGroups: [ingress.groupId],
+      assignPublicIp: network.assignPublicIp,
+    },
+    desiredCount: taskDef.desiredCount ?? 1,
+    settings: serviceSettings(taskDef.deployment, !!loadBalancer),
+    loadBalancers: loadBalancer
+      ? [
+          {
+            targetGroupArn: loadBalancer.targetGroupArn,
+            containerName: repositoryName,
+            containerPort: params.containerPort,
+          },
+        ]
+      : [],
   });
 
   logger.success("🎯 Resources ready");
@@ -98,9 +143,222 @@ export async function createResources({
     taskDefinitionArn,
     executionRoleArn,
     taskRoleArn,
+    loadBalancer,
+    ingress,
+    taskRole,
+  };
+}
+
+/* ────────────────────────── PLAN (dry run) ────────────────────────── */
+// Read-only twin of createResources: same describe calls as the ensure*
+// helpers, reporting create / update / no-op instead of acting.
+export async function planResources({
+  clusterName,
+  serviceName,
+  repositoryName,
+  imageTag = "latest",
+  region = "us-east-1",
+  taskDef = {},
+}) {
+  const ecs = new ECSClient({ region });
+  const ecr = new ECRClient({ region });
+  const iam = new IAMClient({ region });
+  const ec2 = new EC2Client({ region });
+  const sts = new STSClient({ region });
+  const resources = [];
+  const add = (resource, name, action, detail = "") =>
+    resources.push({ resource, name, action, detail });
+
+  const accountId = (await sts.send(new GetCallerIdentityCommand({}))).Account;
+
+  let repositoryUri = `${accountId}.dkr.ecr.${region}.amazonaws.com/${repositoryName}`;
+  let repositoryExists = false;
+  try {
+    const { repositories } = await ecr.send(
+      new DescribeRepositoriesCommand({ repositoryNames: [repositoryName] })
+    );
+    repositoryUri = repositories[0].repositoryUri;
+    repositoryExists = true;
+    add("ECR repository", repositoryName, "no-op");
+  } catch (e) {
+    if (e.name !== "RepositoryNotFoundException") throw e;
+    add("ECR repository", repositoryName, "create");
+  }
+
+  // Deploy pins the digest, so a tag that's already pushed is planned by it
+  let image = `${repositoryUri}:${imageTag}`;
+  if (repositoryExists) {
+    try {
+      ({ imageUri: image } = await resolveImageDigest(repositoryUri, imageTag, region));
+    } catch (e) {
+      if (e.code !== "IMAGE_NOT_FOUND") throw e;
+    }
+  }
+
+  const { clusters } = await ecs.send(
+    new DescribeClustersCommand({ clusters: [clusterName] })
+  );
+  add("ECS cluster", clusterName, clusters[0]?.status === "ACTIVE" ? "no-op" : "create");
+
+  const roleRows = [
+    await planProjectRole(iam, {
+      roleName: executionRoleName(repositoryName),
+      config: executionRoleConfig(taskDef.secrets),
+    }),
+    await planProjectRole(iam, {
+      roleName: taskRoleName(repositoryName),
+      config: taskDef.iam || { managedPolicies: [], policies: {} },
+    }),
+  ];
+  roleRows.forEach((r) => add(r.resource, r.name, r.action, r.detail));
+
+  const { network, rows: networkRows } = await planNetwork(ec2, taskDef.network || {}, region);
+  networkRows.forEach((r) => add(r.resource, r.name, r.action, r.detail));
+  const containerPort = taskDef.containerPort || 3000;
+  if (network) {
+    // An ALB group that doesn't exist yet is shown by its name
+    let loadBalancerGroupId = null;
+    if (taskDef.loadBalancer) {
+      const { securityGroupName } = loadBalancerNames(repositoryName, containerPort);
+      const albGroup = network.vpcId && (await findSecurityGroup(ec2, securityGroupName, network.vpcId));
+      loadBalancerGroupId = albGroup?.GroupId || securityGroupName;
+    }
+    const row = await planServiceSecurityGroup(ec2, {
+      project: repositoryName,
+      vpcId: network.vpcId,
+      rules: desiredIngress({ containerPort, ingress: taskDef.ingress, loadBalancerGroupId }),
+    });
+    add(row.resource, row.name, row.action, row.detail);
+  }
+
+  if (taskDef.loadBalancer) {
+    const rows = await planLoadBalancer(new ElasticLoadBalancingV2Client({ region }), {
+      repositoryName,
+      containerPort,
+      config: taskDef.loadBalancer,
+      healthCheck: taskDef.healthCheck,
+    });
+    rows.forEach((r) => add(r.resource, r.name, r.action, r.detail));
+  }
+
+  const desired = buildTaskDefinition(
+    taskDefParams({
+      repositoryName,
+      image,
+      executionRoleArn: `arn:aws:iam::${accountId}:role/${executionRoleName(repositoryName)}`,
+      taskRoleArn: `arn:aws:iam::${accountId}:role/${taskRoleName(repositoryName)}`,
+      taskDef,
+      region,
+    })
+  );
+
+  const { services } = await ecs.send(
+    new DescribeServicesCommand({ cluster: clusterName, services: [serviceName] })
+  ).catch((e) => {
+    if (e.name === "ClusterNotFoundException") return { services: [] };
+    throw e;
+  });
+  const svc = services?.[0]?.status === "ACTIVE" ? services[0] : null;
+
+  let current = null;
+  if (svc) {
+    ({ taskDefinition: current } = await ecs.send(
+      new DescribeTaskDefinitionCommand({ taskDefinition: svc.taskDefinition })
+    ));
+  }
+  const changes = diffTaskDefinitions(current, desired);
+  add(
+    "Task definition",
+    desired.family,
+    !current ? "create" : changes.length ? "update" : "no-op",
+    current ? `current: revision ${current.revision}` : ""
+  );
+
+  const desiredCount = taskDef.desiredCount ?? 1;
+  if (!svc) {
+    add("ECS service", serviceName, "create", `desired ${desiredCount}`);
+  } else {
+    const settings = serviceSettings(taskDef.deployment, !!taskDef.loadBalancer);
+    const detail = [
+      changes.length && "new task definition revision",
+      svc.desiredCount !== desiredCount &&
+        `desired ${svc.desiredCount} → ${desiredCount}`,
+      !sameSettings(svc, settings) && "deployment settings",
+    ].filter(Boolean);
+    add("ECS service", serviceName, detail.length ? "update" : "no-op", detail.join(", "));
+  }
+
+  return { resources, taskDefinitionDiff: changes };
+}
+
+// Field-level diff of the settings deploy controls, between the live task
+// definition (or null) and the one that would be registered.
+export function diffTaskDefinitions(current, desired) {
+  const changes = [];
+  const change = (field, from, to, show = (v) => v) => {
+    if (String(from ?? "") !== String(to ?? "")) {
+      changes.push({
+        field,
+        from: from === undefined ? from : show(from),
+        to: to === undefined ? to : show(to),
+      });
+    }
+  };
+  const cur = current?.containerDefinitions?.[0] || {};
+  const next = desired.containerDefinitions[0];
+
+  // The same image may be named by tag or pinned by digest
+  if (!sameImage(cur.image, next.image)) change("image", cur.image, next.image);
+  change("cpu", current?.cpu, desired.cpu);
+  change("memory", current?.memory, desired.memory);
+  change(
+    "ports",
+    (cur.portMappings || []).map((p) => p.containerPort).join(", "),
+    next.portMappings.map((p) => p.containerPort).join(", ")
+  );
+
+  const curEnv = Object.fromEntries((cur.environment || []).map((e) => [e.name, e.value]));
+  const nextEnv = Object.fromEntries(next.environment.map((e) => [e.name, e.value]));
+  for (const name of new Set([...Object.keys(curEnv), ...Object.keys(nextEnv)])) {
+    change(`env.${name}`, curEnv[name], nextEnv[name], (v) => maskSensitiveValue(name, v));
+  }
+  // Only the reference changes here; the value itself never leaves the store
+  const curSecrets = Object.fromEntries((cur.secrets || []).map((s) => [s.name, s.valueFrom]));
+  const nextSecrets = Object.fromEntries(next.secrets.map((s) => [s.name, s.valueFrom]));
+  for (const name of new Set([...Object.keys(curSecrets), ...Object.keys(nextSecrets)])) {
+    change(`secret.${name}`, curSecrets[name], nextSecrets[name]);
+  }
+  const describeCheck = (hc) =>
+    hc && `${hc.command.join(" ")} (every ${hc.interval}s, ${hc.retries} retries)`;
+  change("healthCheck", describeCheck(cur.healthCheck), describeCheck(next.healthCheck));
+  return changes;
+}
+
+// repo[:tag][@sha256:…]; the tag's colon comes after the last slash
+function parseImage(image) {
+  const [name, digest = null] = image.split("@");
+  const colon = name.lastIndexOf(":");
+  const tagged = colon > name.lastIndexOf("/");
+  return {
+    repository: tagged ? name.slice(0, colon) : name,
+    tag: tagged ? name.slice(colon + 1) : null,
+    digest,
   };
 }
 
+function sameImage(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  const [x, y] = [parseImage(a), parseImage(b)];
+  if (x.repository !== y.repository) return false;
+  if (x.digest && y.digest) return x.digest === y.digest;
+  return x.tag !== null && x.tag === y.tag;
+}
+
+export async function ensureRepository({ repositoryName, region = "us-east-1" }) {
+  return ensureECR(new ECRClient({ region }), repositoryName);
+}
+
 /* ────────────────────────── HELPERS ────────────────────────── */
 async function ensureECR(ecr, repo) {
   try {
@@ -143,138 +401,131 @@ async function ensureCluster(ecs, name) {
   return cluster.clusterArn;
 }
 
-async function ensureRole(iam, account, roleName, policyArn) {
-  const fullArn = `arn:aws:iam::${account}:role/${roleName}`;
-  try {
-    await iam.send(new GetRoleCommand({ RoleName: roleName }));
-    logger.success(`✅ Role exists → ${fullArn}`);
-  } catch {
-    logger.startSpinner("iam", `Creating IAM role ${roleName}…`);
-    await iam.send(
-      new CreateRoleCommand({
-        RoleName: roleName,
-        AssumeRolePolicyDocument: JSON.stringify({
-          Version: "2012-10-17",
-          Statement: [
-            {
-              Effect: "Allow",
-              Principal: { Service: "ecs-tasks.amazonaws.com" },
-              Action: "sts:AssumeRole",
-            },
-          ],
-        }),
-      })
-    );
-    await iam.send(
-      new AttachRolePolicyCommand({ RoleName: roleName, PolicyArn: policyArn })
-    );
-    logger.succeedSpinner("iam", `✅ Created role → ${fullArn}`);
-  }
-  return fullArn;
-}
-
-async function getNetworkConfig(ec2, project) {
-  const { Vpcs } = await ec2.send(
-    new DescribeVpcsCommand({ Filters: [{ Name: "is-default", Values: ["true"] }] })
-  );
-  const vpcId = Vpcs[0].VpcId;
-  const { Subnets } = await ec2.send(
-    new DescribeSubnetsCommand({ Filters: [{ Name: "vpc-id", Values: [vpcId] }] })
-  );
-  const subnetIds = Subnets.map((s) => s.SubnetId);
-  const sgId = await ensureSG(ec2, vpcId, project);
+function taskDefParams({ repositoryName, image, executionRoleArn, taskRoleArn, taskDef, region }) {
   return {
-    subnets: subnetIds,
-    securityGroups: [sgId],
-    assignPublicIp: "ENABLED",
+    repositoryName,
+    image,
+    executionRoleArn,
+    taskRoleArn,
+    containerPort: taskDef.containerPort || 3000,
+    cpu: taskDef.cpu || "256",
+    memory: taskDef.memory || "512",
+    environment: taskDef.environment || {},
+    secrets: taskDef.secrets || {},
+    healthCheck: taskDef.healthCheck,
+    region,
   };
 }
 
-async function ensureSG(ec2, vpcId, project) {
-  const name = `${project}-sg`;
-  const { SecurityGroups } = await ec2.send(
-    new DescribeSecurityGroupsCommand({
-      Filters: [
-        { Name: "group-name", Values: [name] },
-        { Name: "vpc-id", Values: [vpcId] },
-      ],
-    })
-  );
-  if (SecurityGroups.length) {
-    logger.success(`✅ Security group exists → ${SecurityGroups[0].GroupId}`);
-    return SecurityGroups[0].GroupId;
-  }
-  logger.startSpinner("sg", `Creating security group ${name}…`);
-  const { GroupId } = await ec2.send(
-    new CreateSecurityGroupCommand({
-      GroupName: name,
-      Description: `SG for ${project}`,
-      VpcId: vpcId,
-    })
-  );
-  await ec2.send(
-    new AuthorizeSecurityGroupIngressCommand({
-      GroupId,
-      IpPermissions: [
-        { IpProtocol: "tcp", FromPort: 80, ToPort: 80, IpRanges: [{ CidrIp: "0.0.0.0/0" }] },
-        { IpProtocol: "tcp", FromPort: 443, ToPort: 443, IpRanges: [{ CidrIp: "0.0.0.0/0" }] },
-        { IpProtocol: "tcp", FromPort: 3000, ToPort: 3000, IpRanges: [{ CidrIp: "0.0.0.0/0" }] },
-      ],
-    })
+async function registerTaskDefinition(ecs, params) {
+  const { taskDefinition } = await ecs.send(
+    new RegisterTaskDefinitionCommand(buildTaskDefinition(params))
   );
-  logger.succeedSpinner("sg", `✅ Created SG → ${GroupId}`);
-  return GroupId;
+  logger.success(`✅ Task definition registered → ${taskDefinition.taskDefinitionArn}`);
+  return taskDefinition.taskDefinitionArn;
 }
 
-async function registerTaskDefinition(
-  ecs,
-  {
-    repositoryName,
-    repositoryUri,
-    executionRoleArn,
-    taskRoleArn,
-    containerPort,
+function buildTaskDefinition({
+  repositoryName,
+  image,
+  executionRoleArn,
+  taskRoleArn,
+  containerPort,
+  cpu,
+  memory,
+  environment,
+  secrets,
+  healthCheck,
+  region,
+}) {
+  const family = `${repositoryName}-task`;
+  return {
+    family,
+    networkMode: "awsvpc",
+    requiresCompatibilities: ["FARGATE"],
     cpu,
     memory,
-    region,
-  }
-) {
-  const family = `${repositoryName}-task`;
-  const { taskDefinition } = await ecs.send(
-    new RegisterTaskDefinitionCommand({
-      family,
-      networkMode: "awsvpc",
-      requiresCompatibilities: ["FARGATE"],
-      cpu,
-      memory,
-      executionRoleArn,
-      taskRoleArn,
-      containerDefinitions: [
-        {
-          name: repositoryName,
-          image: `${repositoryUri}:latest`,
-          essential: true,
-          portMappings: [{ containerPort, protocol: "tcp" }],
-          logConfiguration: {
-            logDriver: "awslogs",
-            options: {
-              "awslogs-group": `/ecs/${family}`,
-              "awslogs-region": region,
-              "awslogs-stream-prefix": "ecs",
-              "awslogs-create-group": "true",
-            },
+    executionRoleArn,
+    taskRoleArn,
+    containerDefinitions: [
+      {
+        name: repositoryName,
+        image,
+        essential: true,
+        portMappings: [{ containerPort, protocol: "tcp" }],
+        environment: Object.entries(environment).map(([name, value]) => ({
+          name,
+          value,
+        })),
+        // Resolved by ECS through the execution role when the task starts
+        secrets: Object.entries(secrets).map(([name, valueFrom]) => ({
+          name,
+          valueFrom,
+        })),
+        ...(healthCheck && {
+          healthCheck: {
+            command: healthCheck.command,
+            interval: healthCheck.interval,
+            timeout: healthCheck.timeout,
+            retries: healthCheck.retries,
+            startPeriod: healthCheck.startPeriod,
+          },
+        }),
+        logConfiguration: {
+          logDriver: "awslogs",
+          options: {
+            "awslogs-group": `/ecs/${family}`,
+            "awslogs-region": region,
+            "awslogs-stream-prefix": "ecs",
+            "awslogs-create-group": "true",
           },
         },
-      ],
-    })
+      },
+    ],
+  };
+}
+
+function sameNetwork(current = {}, desired) {
+  const ids = (list) => [...(list || [])].sort().join();
+  return (
+    ids(current.subnets) === ids(desired.subnets) &&
+    ids(current.securityGroups) === ids(desired.securityGroups) &&
+    (current.assignPublicIp || "DISABLED") === desired.assignPublicIp
+  );
+}
+
+// Rollout settings from the manifest's deployment block
+function serviceSettings(deployment, hasLoadBalancer) {
+  if (!deployment) return {};
+  return {
+    deploymentConfiguration: {
+      minimumHealthyPercent: deployment.minHealthyPercent,
+      maximumPercent: deployment.maxPercent,
+      deploymentCircuitBreaker: { enable: deployment.circuitBreaker, rollback: deployment.rollback },
+    },
+    // ECS rejects a grace period on a service without a load balancer; a
+    // container health check's startPeriod covers boot there instead
+    ...(hasLoadBalancer && { healthCheckGracePeriodSeconds: deployment.healthCheckGracePeriod }),
+  };
+}
+
+function sameSettings(existing, settings) {
+  const want = settings.deploymentConfiguration;
+  if (!want) return true;
+  const cur = existing.deploymentConfiguration || {};
+  return (
+    cur.minimumHealthyPercent === want.minimumHealthyPercent &&
+    cur.maximumPercent === want.maximumPercent &&
+    !!cur.deploymentCircuitBreaker?.enable === want.deploymentCircuitBreaker.enable &&
+    !!cur.deploymentCircuitBreaker?.rollback === want.deploymentCircuitBreaker.rollback &&
+    (settings.healthCheckGracePeriodSeconds === undefined ||
+      (existing.healthCheckGracePeriodSeconds ?? 0) === settings.healthCheckGracePeriodSeconds)
   );
-  logger.success(`✅ Task definition registered → ${taskDefinition.taskDefinitionArn}`);
-  return taskDefinition.taskDefinitionArn;
 }
 
 async function ensureService(
   ecs,
-  { clusterName, serviceName, taskDefinitionArn, networkConfig }
+  { clusterName, serviceName, taskDefinitionArn, networkConfig, desiredCount, settings = {}, loadBalancers = [] }
 ) {
   const { services } = await ecs.send(
     new DescribeServicesCommand({
@@ -282,9 +533,34 @@ async function ensureService(
       services: [serviceName],
     })
   );
-  if (services[0]?.status === "ACTIVE") {
-    logger.success(`✅ Service active → ${services[0].serviceArn}`);
-    return services[0].serviceArn;
+  const existing = services[0]?.status === "ACTIVE" ? services[0] : null;
+  if (existing) {
+    // Rolling-update services can switch subnets and target groups in place
+    const update = {};
+    const current = (existing.loadBalancers || []).map((lb) => lb.targetGroupArn).join();
+    if (current !== loadBalancers.map((lb) => lb.targetGroupArn).join()) {
+      update.loadBalancers = loadBalancers;
+    }
+    if (!sameNetwork(existing.networkConfiguration?.awsvpcConfiguration, networkConfig)) {
+      update.networkConfiguration = { awsvpcConfiguration: networkConfig };
+    }
+    if (!sameSettings(existing, settings)) Object.assign(update, settings);
+
+    if (Object.keys(update).length) {
+      await ecs.send(
+        new UpdateServiceCommand({ cluster: clusterName, service: serviceName, ...update })
+      );
+      const changed = [
+        update.loadBalancers && "load balancer",
+        update.networkConfiguration && "network",
+        update.deploymentConfiguration && "deployment settings",
+      ].filter(Boolean);
+      const list = changed.length > 1 ? `${changed.slice(0, -1).join(", ")} and ${changed.at(-1)}` : changed[0];
+      logger.success(`✅ Service ${list} updated → ${serviceName}`);
+    } else {
+      logger.success(`✅ Service active → ${existing.serviceArn}`);
+    }
+    return existing.serviceArn;
   }
   logger.startSpinner("service", `Creating service ${serviceName}…`);
   const { service } = await ecs.send(
@@ -292,10 +568,12 @@ async function ensureService(
       cluster: clusterName,
       serviceName,
       taskDefinition: taskDefinitionArn,
-      desiredCount: 1,
+      desiredCount,
       launchType: "FARGATE",
       enableExecuteCommand: true,
       networkConfiguration: { awsvpcConfiguration: networkConfig },
+      ...settings,
+      ...(loadBalancers.length && { loadBalancers }),
     })
   );
   logger.succeedSpinner("service", `✅ Created service → ${service.serviceArn}`);
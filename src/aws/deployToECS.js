@@ -6,15 +6,11 @@ import {
   RegisterTaskDefinitionCommand,
   DescribeTaskDefinitionCommand,
 } from "@aws-sdk/client-ecs";
-import { ECRClient, GetAuthorizationTokenCommand } from "@aws-sdk/client-ecr";
 import {
-  IAMClient,
-  GetRoleCommand,
-  CreateRoleCommand,
-  AttachRolePolicyCommand,
-  ListAttachedRolePoliciesCommand,
-} from "@aws-sdk/client-iam";
-import { STSClient, GetCallerIdentityCommand } from "@aws-sdk/client-sts";
+  ECRClient,
+  GetAuthorizationTokenCommand,
+  DescribeImagesCommand,
+} from "@aws-sdk/client-ecr";
 import { execa } from "execa";
 import Logger from "../utils/logger.js";
 
@@ -23,7 +19,7 @@ const logger = new Logger();
 /* ------------------------------------------------------------------ */
 /* 1. Push local Docker image to ECR                                   */
 /* ------------------------------------------------------------------ */
-export async function pushToECR(localImage, repositoryUri, region) {
+export async function pushToECR(localImage, repositoryUri, region, tag) {
   const ecr = new ECRClient({ region });
   logger.startSpinner("ecr-auth", "Authenticating with ECR…");
   const { authorizationData } = await ecr.send(
@@ -40,7 +36,7 @@ export async function pushToECR(localImage, repositoryUri, region) {
   );
   logger.succeedSpinner("ecr-auth", "✅ Logged into ECR");
 
-  const remoteTag = `${repositoryUri}:latest`;
+  const remoteTag = `${repositoryUri}:${tag}`;
   logger.startSpinner("ecr-push", `Pushing image ${remoteTag}`);
   await execa("docker", ["tag", localImage, remoteTag], {
     stdio: global.verbose ? "inherit" : "pipe",
@@ -49,145 +45,88 @@ export async function pushToECR(localImage, repositoryUri, region) {
     stdio: global.verbose ? "inherit" : "pipe",
   });
   logger.succeedSpinner("ecr-push", "✅ Image pushed");
-  return remoteTag;
-}
-
-/* ------------------------------------------------------------------ */
-/* 2. Ensure/return ARN of execution role                              */
-/* ------------------------------------------------------------------ */
-async function ensureExecutionRole(region, roleName = "ecsTaskExecutionRole") {
-  const iam = new IAMClient({ region });
-  const sts = new STSClient({ region });
-  const { Account } = await sts.send(new GetCallerIdentityCommand({}));
-  const roleArn = `arn:aws:iam::${Account}:role/${roleName}`;
-
-  try {
-    await iam.send(new GetRoleCommand({ RoleName: roleName }));
-  } catch {
-    logger.info(`Creating execution role ${roleName}`);
-    await iam.send(
-      new CreateRoleCommand({
-        RoleName: roleName,
-        AssumeRolePolicyDocument: JSON.stringify({
-          Version: "2012-10-17",
-          Statement: [
-            {
-              Effect: "Allow",
-              Principal: { Service: "ecs-tasks.amazonaws.com" },
-              Action: "sts:AssumeRole",
-            },
-          ],
-        }),
-      })
-    );
-  }
 
-  const { AttachedPolicies } = await iam.send(
-    new ListAttachedRolePoliciesCommand({ RoleName: roleName })
-  );
-  const policyArn =
-    "arn:aws:iam::aws:policy/service-role/AmazonECSTaskExecutionRolePolicy";
-  if (!AttachedPolicies.some((p) => p.PolicyArn === policyArn)) {
-    await iam.send(
-      new AttachRolePolicyCommand({ RoleName: roleName, PolicyArn: policyArn })
-    );
-  }
-  return roleArn;
+  const image = await resolveImageDigest(repositoryUri, tag, region);
+  return { remoteTag, ...image };
 }
 
 /* ------------------------------------------------------------------ */
-/* 3. Ensure/return ARN of task role                                   */
+/* 1b. Resolve a pushed tag to its digest-pinned image URI            */
 /* ------------------------------------------------------------------ */
-async function ensureTaskRole(region, roleName = "ecsTaskRole") {
-  const iam = new IAMClient({ region });
-  const sts = new STSClient({ region });
-  const { Account } = await sts.send(new GetCallerIdentityCommand({}));
-  const roleArn = `arn:aws:iam::${Account}:role/${roleName}`;
-
+export async function resolveImageDigest(repositoryUri, tag, region) {
+  const ecr = new ECRClient({ region });
+  const repositoryName = repositoryUri.split("/").slice(1).join("/");
   try {
-    await iam.send(new GetRoleCommand({ RoleName: roleName }));
-  } catch {
-    logger.info(`Creating task role ${roleName}`);
-    await iam.send(
-      new CreateRoleCommand({
-        RoleName: roleName,
-        AssumeRolePolicyDocument: JSON.stringify({
-          Version: "2012-10-17",
-          Statement: [
-            {
-              Effect: "Allow",
-              Principal: { Service: "ecs-tasks.amazonaws.com" },
-              Action: "sts:AssumeRole",
-            },
-          ],
-        }),
-      })
-    );
-    await iam.send(
-      new AttachRolePolicyCommand({
-        RoleName: roleName,
-        PolicyArn: "arn:aws:iam::aws:policy/CloudWatchLogsFullAccess",
-      })
+    const { imageDetails } = await ecr.send(
+      new DescribeImagesCommand({ repositoryName, imageIds: [{ imageTag: tag }] })
     );
+    const digest = imageDetails[0].imageDigest;
+    return { tag, digest, imageUri: `${repositoryUri}@${digest}` };
+  } catch (e) {
+    if (e.name !== "ImageNotFoundException") throw e;
+    const err = new Error(`Image ${repositoryUri}:${tag} not found in ECR`);
+    err.code = "IMAGE_NOT_FOUND";
+    throw err;
   }
-  return roleArn;
 }
 
 /* ------------------------------------------------------------------ */
-/* 4. Deploy to ECS                                                   */
+/* 2. Deploy to ECS                                                   */
 /* ------------------------------------------------------------------ */
 export async function deployToECS({
   clusterName,
   serviceName,
-  repositoryUri,
+  image,
+  taskDefinitionArn,
+  desiredCount,
   region = "us-east-1",
-  localImageTag = "latest",
 }) {
   const ecs = new ECSClient({ region });
   logger.title("🚀 Deploying to ECS");
 
-  const executionRoleArn = await ensureExecutionRole(region);
-  const taskRoleArn = await ensureTaskRole(region);
-
-  await pushToECR(localImageTag, repositoryUri, region);
+  // Without a freshly registered revision, clone the service's current
+  // task definition (roles included) and pin it to the new image.
+  if (!taskDefinitionArn) {
+    const { services } = await ecs.send(
+      new DescribeServicesCommand({
+        cluster: clusterName,
+        services: [serviceName],
+      })
+    );
+    if (!services.length) {
+      throw new Error(
+        `Service ${serviceName} not found in cluster ${clusterName}`
+      );
+    }
+    const currentDefArn = services[0].taskDefinition;
+    const { taskDefinition: td } = await ecs.send(
+      new DescribeTaskDefinitionCommand({ taskDefinition: currentDefArn })
+    );
 
-  const { services } = await ecs.send(
-    new DescribeServicesCommand({
-      cluster: clusterName,
-      services: [serviceName],
-    })
-  );
-  if (!services.length) {
-    throw new Error(
-      `Service ${serviceName} not found in cluster ${clusterName}`
+    const { taskDefinition } = await ecs.send(
+      new RegisterTaskDefinitionCommand({
+        family: td.family,
+        networkMode: td.networkMode,
+        requiresCompatibilities: td.requiresCompatibilities,
+        cpu: td.cpu,
+        memory: td.memory,
+        executionRoleArn: td.executionRoleArn,
+        taskRoleArn: td.taskRoleArn,
+        containerDefinitions: td.containerDefinitions.map((c) => ({
+          ...c,
+          image,
+        })),
+      })
     );
+    taskDefinitionArn = taskDefinition.taskDefinitionArn;
   }
-  const currentDefArn = services[0].taskDefinition;
-  const { taskDefinition: td } = await ecs.send(
-    new DescribeTaskDefinitionCommand({ taskDefinition: currentDefArn })
-  );
-
-  const { taskDefinition } = await ecs.send(
-    new RegisterTaskDefinitionCommand({
-      family: td.family,
-      networkMode: td.networkMode,
-      requiresCompatibilities: td.requiresCompatibilities,
-      cpu: td.cpu,
-      memory: td.memory,
-      executionRoleArn,
-      taskRoleArn,
-      containerDefinitions: td.containerDefinitions.map((c) => ({
-        ...c,
-        image: `${repositoryUri}:latest`,
-      })),
-    })
-  );
 
   await ecs.send(
     new UpdateServiceCommand({
       cluster: clusterName,
       service: serviceName,
-      taskDefinition: taskDefinition.taskDefinitionArn,
+      taskDefinition: taskDefinitionArn,
+      desiredCount,
       forceNewDeployment: true,
     })
   );
@@ -197,33 +136,78 @@ export async function deployToECS({
 }
 
 /* ------------------------------------------------------------------ */
-/* 5. Wait for service stability                                      */
+/* 3. Wait for service stability                                      */
 /* ------------------------------------------------------------------ */
-async function waitForStable(ecs, cluster, service, timeout = 10 * 60 * 1000) {
+// Tagged so callers can tell "tasks never became healthy" (worth a
+// diagnosis) from API errors
+function unstableError(message, details) {
+  const err = new Error(message);
+  err.code = "DEPLOY_UNSTABLE";
+  Object.assign(err, details);
+  return err;
+}
+
+const revision = (taskDefinitionArn) => taskDefinitionArn.split("/").pop();
+const reason = (deployment) => deployment?.rolloutStateReason || "tasks kept failing";
+
+// With the circuit breaker on, ECS retries stopped tasks and decides
+// itself when to give up (and roll back), so single failures don't end
+// the wait. Without it, the first failure does.
+export async function waitForStable(ecs, cluster, service, timeout = 10 * 60 * 1000) {
   const start = Date.now();
   let printedEventIds = new Set();
+  let deploymentId = null;
+  let failure = null;
 
   while (Date.now() - start < timeout) {
     const { services } = await ecs.send(
       new DescribeServicesCommand({ cluster, services: [service] })
     );
     const svc = services[0];
+    const breaker = svc.deploymentConfiguration?.deploymentCircuitBreaker?.enable;
 
     (svc.events || []).forEach((ev) => {
       if (!printedEventIds.has(ev.id)) {
         printedEventIds.add(ev.id);
         logger.info(`🛈  ${ev.message}`);
-        if (/was stopped|failed|unable to place/i.test(ev.message)) {
-          throw new Error(`Deployment failed: ${ev.message}`);
+        if (!breaker && /was stopped|failed|unable to place/i.test(ev.message)) {
+          throw unstableError(`Deployment failed: ${ev.message}`, { since: start, event: ev.message });
         }
       }
     });
 
     const primary = svc.deployments.find((d) => d.status === "PRIMARY");
-    if (
+    // The deployment this call started is the primary one on the first poll
+    deploymentId ??= primary?.id;
+    const ours = svc.deployments.find((d) => d.id === deploymentId);
+
+    if (primary && primary.id !== deploymentId) {
+      // ECS replaced our deployment with one for the last working revision
+      if (!failure) {
+        failure = ours || {};
+        logger.warn(`⚠️  ECS stopped the rollout: ${reason(failure)}`);
+        logger.info(`⏪ Rolling back to ${revision(primary.taskDefinition)}…`);
+      }
+      if (primary.rolloutState === "COMPLETED") {
+        throw unstableError(
+          `ECS rolled back to ${revision(primary.taskDefinition)} (${reason(failure)})`,
+          {
+            since: start,
+            event: failure.rolloutStateReason || null,
+            rolledBack: true,
+            rolledBackTo: primary.taskDefinition,
+          }
+        );
+      }
+    } else if (ours?.rolloutState === "FAILED") {
+      throw unstableError(`Deployment failed: ${reason(ours)}`, {
+        since: start,
+        event: ours.rolloutStateReason || null,
+      });
+    } else if (
       primary &&
       primary.runningCount === primary.desiredCount &&
-      svc.deployments.length === 1
+      (primary.rolloutState === "COMPLETED" || svc.deployments.length === 1)
     ) {
       logger.success(
         `✅ Service stable: ${primary.runningCount}/${primary.desiredCount}`
@@ -232,5 +216,10 @@ async function waitForStable(ecs, cluster, service, timeout = 10 * 60 * 1000) {
     }
     await new Promise((r) => setTimeout(r, 15000));
   }
-  throw new Error("Deployment timed-out; tasks never reached steady state");
+  throw unstableError(
+    failure
+      ? `ECS is still rolling back to the last working revision (${reason(failure)})`
+      : "Deployment timed-out; tasks never reached steady state",
+    { since: start, event: failure?.rolloutStateReason || null }
+  );
 }
@@ -0,0 +1,306 @@
+// src/aws/destroyResources.js
+import {
+  ECSClient,
+  DescribeClustersCommand,
+  DescribeServicesCommand,
+  DescribeTaskDefinitionCommand,
+  ListServicesCommand,
+  ListTaskDefinitionsCommand,
+  UpdateServiceCommand,
+  DeleteServiceCommand,
+  DeregisterTaskDefinitionCommand,
+  DeleteClusterCommand,
+  waitUntilServicesInactive,
+} from "@aws-sdk/client-ecs";
+import {
+  ECRClient,
+  DescribeRepositoriesCommand,
+  DeleteRepositoryCommand,
+} from "@aws-sdk/client-ecr";
+import {
+  EC2Client,
+  DescribeSecurityGroupsCommand,
+  DeleteSecurityGroupCommand,
+} from "@aws-sdk/client-ec2";
+import {
+  IAMClient,
+  GetRoleCommand,
+  ListAttachedRolePoliciesCommand,
+  DetachRolePolicyCommand,
+  ListRolePoliciesCommand,
+  DeleteRolePolicyCommand,
+  DeleteRoleCommand,
+} from "@aws-sdk/client-iam";
+import { ElasticLoadBalancingV2Client } from "@aws-sdk/client-elastic-load-balancing-v2";
+import { planDestroyLoadBalancer, destroyLoadBalancer, loadBalancerNames } from "./loadBalancer.js";
+import { deleteSecret, isManagedSecret, secretId } from "./secrets.js";
+import { executionRoleName, taskRoleName } from "./iam.js";
+import Logger from "../utils/logger.js";
+
+const logger = new Logger();
+
+/* ────────────────────────── PLAN ────────────────────────── */
+export async function planDestroy({
+  clusterName,
+  serviceName,
+  repositoryName,
+  family,
+  region = "us-east-1",
+  keepImages = false,
+  keepCluster = false,
+}) {
+  const ecs = new ECSClient({ region });
+  const ecr = new ECRClient({ region });
+  const ec2 = new EC2Client({ region });
+  const iam = new IAMClient({ region });
+  const elb = new ElasticLoadBalancingV2Client({ region });
+
+  const plan = {
+    clusterName,
+    serviceName,
+    repositoryName,
+    family,
+    region,
+    service: null,
+    loadBalancer: null,
+    taskDefinitions: [],
+    securityGroups: [],
+    repository: null,
+    cluster: null,
+    roles: [],
+    secrets: [],
+  };
+
+  const { services } = await ecs.send(
+    new DescribeServicesCommand({ cluster: clusterName, services: [serviceName] })
+  ).catch((e) => {
+    if (e.name === "ClusterNotFoundException") return { services: [] };
+    throw e;
+  });
+  if (services?.[0] && services[0].status !== "INACTIVE") {
+    plan.service = {
+      arn: services[0].serviceArn,
+      desiredCount: services[0].desiredCount,
+    };
+  }
+
+  plan.loadBalancer = await planDestroyLoadBalancer(elb, repositoryName);
+  plan.taskDefinitions = await listFamilyRevisions(ecs, family);
+
+  // The task group references the ALB group in its rules, so it goes first
+  const groupNames = [`${repositoryName}-sg`, loadBalancerNames(repositoryName, 0).securityGroupName];
+  const { SecurityGroups } = await ec2.send(
+    new DescribeSecurityGroupsCommand({
+      Filters: [{ Name: "group-name", Values: groupNames }],
+    })
+  );
+  plan.securityGroups = SecurityGroups
+    .map((sg) => ({ id: sg.GroupId, name: sg.GroupName }))
+    .sort((a, b) => groupNames.indexOf(a.name) - groupNames.indexOf(b.name));
+
+  try {
+    const { repositories } = await ecr.send(
+      new DescribeRepositoriesCommand({ repositoryNames: [repositoryName] })
+    );
+    plan.repository = { uri: repositories[0].repositoryUri, keep: keepImages };
+  } catch (e) {
+    if (e.name !== "RepositoryNotFoundException") throw e;
+  }
+
+  const { clusters } = await ecs.send(
+    new DescribeClustersCommand({ clusters: [clusterName] })
+  );
+  if (clusters[0]?.status === "ACTIVE") {
+    const others = (await listClusterServices(ecs, clusterName)).filter(
+      (arn) => arn.split("/").pop() !== serviceName
+    );
+    plan.cluster = {
+      arn: clusters[0].clusterArn,
+      keep: keepCluster || others.length > 0,
+      reason: keepCluster
+        ? "--keep-cluster"
+        : others.length
+        ? `${others.length} other service(s) still running`
+        : null,
+    };
+  }
+
+  const latest = plan.taskDefinitions.length
+    ? (
+        await ecs.send(
+          new DescribeTaskDefinitionCommand({
+            taskDefinition: plan.taskDefinitions[plan.taskDefinitions.length - 1],
+          })
+        )
+      ).taskDefinition
+    : null;
+  plan.roles = await planRoles(iam, latest, repositoryName);
+  plan.secrets = planSecrets(latest, repositoryName);
+  return plan;
+}
+
+async function listFamilyRevisions(ecs, family) {
+  const arns = [];
+  let nextToken;
+  do {
+    const res = await ecs.send(
+      new ListTaskDefinitionsCommand({ familyPrefix: family, status: "ACTIVE", nextToken })
+    );
+    arns.push(
+      ...(res.taskDefinitionArns || []).filter(
+        (arn) => arn.split("/").pop().replace(/:\d+$/, "") === family
+      )
+    );
+    nextToken = res.nextToken;
+  } while (nextToken);
+  return arns;
+}
+
+async function listClusterServices(ecs, cluster) {
+  const arns = [];
+  let nextToken;
+  do {
+    const res = await ecs.send(new ListServicesCommand({ cluster, nextToken }));
+    arns.push(...(res.serviceArns || []));
+    nextToken = res.nextToken;
+  } while (nextToken);
+  return arns;
+}
+
+/* The project's own roles; anything else the task definition uses stays */
+// IAM is global, so a shared role may be in use by projects in other
+// regions that this one can't see.
+async function planRoles(iam, latest, repositoryName) {
+  const own = [executionRoleName(repositoryName), taskRoleName(repositoryName)];
+  const roles = [];
+  for (const name of own) {
+    try {
+      const { Role } = await iam.send(new GetRoleCommand({ RoleName: name }));
+      roles.push({ name, arn: Role.Arn, keep: false, reason: null });
+    } catch (e) {
+      if (e.name !== "NoSuchEntityException") throw e;
+    }
+  }
+
+  // Roles from before per-project roles, listed so it's clear they stay
+  const referenced = [latest?.executionRoleArn, latest?.taskRoleArn].filter(Boolean);
+  for (const arn of new Set(referenced)) {
+    const name = arn.split("/").pop();
+    if (!own.includes(name)) {
+      roles.push({ name, arn, keep: true, reason: "not created for this project" });
+    }
+  }
+  return roles;
+}
+
+/* Values `mydeploy env set --secret` stored for this project and env */
+function planSecrets(latest, repositoryName) {
+  return (latest?.containerDefinitions[0]?.secrets || [])
+    .filter((s) => isManagedSecret(s.valueFrom, repositoryName))
+    .map((s) => ({ name: s.name, arn: s.valueFrom, id: secretId(s.valueFrom) }));
+}
+
+/* ────────────────────────── EXECUTE ────────────────────────── */
+export async function destroyResources(plan) {
+  const { region, clusterName, serviceName, repositoryName } = plan;
+  const ecs = new ECSClient({ region });
+  const ecr = new ECRClient({ region });
+  const ec2 = new EC2Client({ region });
+  const iam = new IAMClient({ region });
+  const elb = new ElasticLoadBalancingV2Client({ region });
+
+  if (plan.service) {
+    logger.startSpinner("svc", `Scaling ${serviceName} to 0…`);
+    await ecs.send(
+      new UpdateServiceCommand({ cluster: clusterName, service: serviceName, desiredCount: 0 })
+    );
+    logger.updateSpinner("svc", `Deleting service ${serviceName}…`);
+    await ecs.send(
+      new DeleteServiceCommand({ cluster: clusterName, service: serviceName, force: true })
+    );
+    await waitUntilServicesInactive(
+      { client: ecs, maxWaitTime: 600 },
+      { cluster: clusterName, services: [serviceName] }
+    );
+    logger.succeedSpinner("svc", `✅ Deleted service → ${serviceName}`);
+  }
+
+  if (plan.loadBalancer) {
+    await destroyLoadBalancer(elb, plan.loadBalancer);
+  }
+
+  if (plan.taskDefinitions.length) {
+    logger.startSpinner("td", `Deregistering ${plan.taskDefinitions.length} task definition(s)…`);
+    for (const arn of plan.taskDefinitions) {
+      await ecs.send(new DeregisterTaskDefinitionCommand({ taskDefinition: arn }));
+    }
+    logger.succeedSpinner("td", `✅ Deregistered ${plan.family}`);
+  }
+
+  for (const group of plan.securityGroups) {
+    await deleteSecurityGroup(ec2, group.id);
+  }
+
+  if (plan.repository && !plan.repository.keep) {
+    logger.startSpinner("ecr", `Deleting ECR repo ${repositoryName}…`);
+    await ecr.send(new DeleteRepositoryCommand({ repositoryName, force: true }));
+    logger.succeedSpinner("ecr", `✅ Deleted ECR repo → ${repositoryName}`);
+  }
+
+  if (plan.cluster && !plan.cluster.keep) {
+    logger.startSpinner("cluster", `Deleting cluster ${clusterName}…`);
+    await ecs.send(new DeleteClusterCommand({ cluster: clusterName }));
+    logger.succeedSpinner("cluster", `✅ Deleted cluster → ${clusterName}`);
+  }
+
+  for (const role of plan.roles.filter((r) => !r.keep)) {
+    await deleteRole(iam, role.name);
+  }
+
+  for (const secret of plan.secrets) {
+    await deleteSecret({ region, arn: secret.arn });
+    logger.success(`✅ Deleted secret → ${secret.id}`);
+  }
+}
+
+/* Task ENIs can linger for a few minutes after the service is gone */
+async function deleteSecurityGroup(ec2, groupId, timeout = 5 * 60 * 1000) {
+  const start = Date.now();
+  logger.startSpinner("sg", `Deleting security group ${groupId}…`);
+  for (;;) {
+    try {
+      await ec2.send(new DeleteSecurityGroupCommand({ GroupId: groupId }));
+      logger.succeedSpinner("sg", `✅ Deleted SG → ${groupId}`);
+      return;
+    } catch (e) {
+      if (e.name !== "DependencyViolation" || Date.now() - start > timeout) {
+        logger.failSpinner("sg", `❌ Could not delete SG ${groupId}`);
+        throw e;
+      }
+      logger.updateSpinner("sg", `Waiting for network interfaces to release ${groupId}…`);
+      await new Promise((r) => setTimeout(r, 10000));
+    }
+  }
+}
+
+async function deleteRole(iam, roleName) {
+  logger.startSpinner("iam", `Deleting IAM role ${roleName}…`);
+  const { AttachedPolicies } = await iam.send(
+    new ListAttachedRolePoliciesCommand({ RoleName: roleName })
+  );
+  for (const p of AttachedPolicies) {
+    await iam.send(
+      new DetachRolePolicyCommand({ RoleName: roleName, PolicyArn: p.PolicyArn })
+    );
+  }
+  const { PolicyNames } = await iam.send(
+    new ListRolePoliciesCommand({ RoleName: roleName })
+  );
+  for (const policyName of PolicyNames) {
+    await iam.send(
+      new DeleteRolePolicyCommand({ RoleName: roleName, PolicyName: policyName })
+    );
+  }
+  await iam.send(new DeleteRoleCommand({ RoleName: roleName }));
+  logger.succeedSpinner("iam", `✅ Deleted role → ${roleName}`);
+}
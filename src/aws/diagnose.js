@@ -0,0 +1,196 @@
+// src/aws/diagnose.js
+import path from "path";
+import fs from "fs-extra";
+import {
+  ECSClient,
+  DescribeServicesCommand,
+  DescribeTasksCommand,
+  DescribeTaskDefinitionCommand,
+  ListTasksCommand,
+} from "@aws-sdk/client-ecs";
+import { CloudWatchLogsClient } from "@aws-sdk/client-cloudwatch-logs";
+import { fetchLogEvents } from "./logs.js";
+import { redactSecrets } from "../ai/context.js";
+
+const MAX_TASKS = 5;
+const MAX_LINE = 300;
+
+/* ------------------------------------------------------------------ */
+/* 1. Stopped tasks from this deployment                               */
+/* ------------------------------------------------------------------ */
+async function stoppedTasks(ecs, cluster, serviceName, since) {
+  const { taskArns = [] } = await ecs.send(
+    new ListTasksCommand({ cluster, serviceName, desiredStatus: "STOPPED" })
+  );
+  if (!taskArns.length) return [];
+
+  const { tasks = [] } = await ecs.send(
+    new DescribeTasksCommand({ cluster, tasks: taskArns.slice(0, 100) })
+  );
+  return tasks
+    .filter((t) => !since || new Date(t.createdAt).getTime() >= since)
+    .sort((a, b) => new Date(b.stoppedAt || 0) - new Date(a.stoppedAt || 0))
+    .slice(0, MAX_TASKS)
+    .map((t) => ({
+      taskId: t.taskArn.split("/").pop(),
+      taskDefinition: t.taskDefinitionArn.split("/").pop(),
+      stopCode: t.stopCode,
+      stoppedReason: t.stoppedReason,
+      stoppedAt: t.stoppedAt,
+      containers: (t.containers || []).map((c) => ({
+        name: c.name,
+        exitCode: c.exitCode,
+        reason: c.reason,
+        lastStatus: c.lastStatus,
+        healthStatus: c.healthStatus,
+      })),
+    }));
+}
+
+// Environment values may be secrets: keep the names only
+async function taskDefinitionSummary(ecs, arn) {
+  const { taskDefinition: td } = await ecs.send(
+    new DescribeTaskDefinitionCommand({ taskDefinition: arn })
+  );
+  return {
+    family: td.family,
+    revision: td.revision,
+    cpu: td.cpu,
+    memory: td.memory,
+    containers: td.containerDefinitions.map((c) => ({
+      name: c.name,
+      image: c.image,
+      portMappings: c.portMappings,
+      environment: (c.environment || []).map((e) => e.name),
+      secrets: (c.secrets || []).map((e) => e.name),
+      command: c.command,
+      entryPoint: c.entryPoint,
+      healthCheck: c.healthCheck,
+    })),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* 2. Everything worth knowing about a failed rollout                  */
+/* ------------------------------------------------------------------ */
+export async function collectFailureContext({
+  region,
+  clusterName,
+  serviceName,
+  taskDefinitionArn,
+  logGroupName,
+  containerName,
+  projectPath,
+  error,
+  logLines = 50,
+}) {
+  const ecs = new ECSClient({ region });
+  const since = error.since;
+  const context = {
+    generatedAt: new Date().toISOString(),
+    region,
+    clusterName,
+    serviceName,
+    failure: error.message,
+    tasks: [],
+    events: [],
+    logs: [],
+    taskDefinition: null,
+    dockerfile: null,
+    problems: [],
+  };
+
+  // Each source is best-effort: a missing permission shouldn't hide the rest
+  const attempt = async (what, fn) => {
+    try {
+      await fn();
+    } catch (err) {
+      context.problems.push(`${what}: ${err.message}`);
+    }
+  };
+
+  await attempt("service events", async () => {
+    const { services = [] } = await ecs.send(
+      new DescribeServicesCommand({ cluster: clusterName, services: [serviceName] })
+    );
+    context.events = (services[0]?.events || [])
+      .filter((ev) => !since || new Date(ev.createdAt).getTime() >= since)
+      .slice(0, 10)
+      .map((ev) => `${new Date(ev.createdAt).toISOString()} ${ev.message}`);
+  });
+
+  await attempt("stopped tasks", async () => {
+    context.tasks = await stoppedTasks(ecs, clusterName, serviceName, since);
+  });
+
+  await attempt("CloudWatch logs", async () => {
+    const streams = context.tasks.map((t) => `ecs/${containerName}/${t.taskId}`);
+    if (!streams.length) return;
+    const events = await fetchLogEvents(new CloudWatchLogsClient({ region }), {
+      logGroupName,
+      logStreamNames: streams,
+      startTime: since,
+    });
+    context.logs = events
+      .slice(-logLines)
+      .map((ev) => {
+        const line = ev.message.trimEnd();
+        return line.length > MAX_LINE ? `${line.slice(0, MAX_LINE)}…` : line;
+      });
+  });
+
+  if (taskDefinitionArn) {
+    await attempt("task definition", async () => {
+      context.taskDefinition = await taskDefinitionSummary(ecs, taskDefinitionArn);
+    });
+  }
+
+  const dockerPath = path.join(projectPath, "Dockerfile");
+  if (await fs.pathExists(dockerPath)) {
+    context.dockerfile = await fs.readFile(dockerPath, "utf8");
+  }
+  return context;
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Markdown report (also the text the AI is given)                  */
+/* ------------------------------------------------------------------ */
+const fence = (text, lang = "") => `\`\`\`${lang}\n${text}\n\`\`\``;
+
+export function renderFailureReport(context, diagnosis = null) {
+  const taskLines = context.tasks.map((t) => {
+    const containers = t.containers
+      .map((c) => `    - ${c.name}: exit code ${c.exitCode ?? "n/a"}${c.reason ? ` (${c.reason})` : ""}`)
+      .join("\n");
+    return `- ${t.taskId} [${t.taskDefinition}] ${t.stopCode || ""}: ${t.stoppedReason || "no reason given"}\n${containers}`;
+  });
+
+  const sections = [
+    `# Deployment failure: ${context.serviceName}`,
+    [
+      `- Cluster: ${context.clusterName}`,
+      `- Region: ${context.region}`,
+      `- When: ${context.generatedAt}`,
+      `- Failure: ${context.failure}`,
+    ].join("\n"),
+  ];
+  if (diagnosis) sections.push(`## Diagnosis\n\n${diagnosis}`);
+  sections.push(
+    `## Stopped tasks\n\n${taskLines.join("\n") || "_none found_"}`,
+    `## Service events\n\n${context.events.map((e) => `- ${e}`).join("\n") || "_none_"}`,
+    `## Last ${context.logs.length} log line(s)\n\n${context.logs.length ? fence(context.logs.join("\n")) : "_no logs found_"}`,
+    `## Task definition\n\n${context.taskDefinition ? fence(JSON.stringify(context.taskDefinition, null, 2), "json") : "_unavailable_"}`,
+    `## Dockerfile\n\n${context.dockerfile ? fence(context.dockerfile.trim(), "dockerfile") : "_not found_"}`
+  );
+  if (context.problems.length) {
+    sections.push(`## Could not collect\n\n${context.problems.map((p) => `- ${p}`).join("\n")}`);
+  }
+  return redactSecrets(`${sections.join("\n\n")}\n`).text;
+}
+
+export async function writeFailureReport(projectPath, context, diagnosis) {
+  const stamp = context.generatedAt.replace(/[:.]/g, "-");
+  const file = path.join(projectPath, ".mydeploy", "reports", `${context.serviceName}-${stamp}.md`);
+  await fs.outputFile(file, renderFailureReport(context, diagnosis));
+  return file;
+}
@@ -0,0 +1,238 @@
+// src/aws/iam.js
+import {
+  IAMClient,
+  GetRoleCommand,
+  CreateRoleCommand,
+  ListAttachedRolePoliciesCommand,
+  AttachRolePolicyCommand,
+  DetachRolePolicyCommand,
+  ListRolePoliciesCommand,
+  GetRolePolicyCommand,
+  PutRolePolicyCommand,
+  DeleteRolePolicyCommand,
+  GetPolicyCommand,
+  GetPolicyVersionCommand,
+} from "@aws-sdk/client-iam";
+import { secretsPolicy } from "./secrets.js";
+import { cappedName } from "../utils/project.js";
+import Logger from "../utils/logger.js";
+
+const logger = new Logger();
+
+/* ------------------------------------------------------------------ */
+/* 1. Names and documents                                              */
+/* ------------------------------------------------------------------ */
+export const EXECUTION_POLICY_ARN =
+  "arn:aws:iam::aws:policy/service-role/AmazonECSTaskExecutionRolePolicy";
+
+// IAM role names are capped at 64 characters
+const roleName = (repositoryName, suffix) => cappedName(repositoryName, suffix, 64);
+
+export const taskRoleName = (repositoryName) => roleName(repositoryName, "task-role");
+export const executionRoleName = (repositoryName) => roleName(repositoryName, "execution-role");
+
+// ECS uses the execution role to pull the image, write logs and read the
+// project's secrets (and no one else's) when a task starts
+export function executionRoleConfig(secrets = {}) {
+  const policy = secretsPolicy(Object.values(secrets));
+  return {
+    managedPolicies: [EXECUTION_POLICY_ARN],
+    policies: policy ? { "read-secrets": policy } : {},
+  };
+}
+
+// Only ECS tasks in this account may assume the role
+function trustPolicy(accountId) {
+  return JSON.stringify({
+    Version: "2012-10-17",
+    Statement: [
+      {
+        Effect: "Allow",
+        Principal: { Service: "ecs-tasks.amazonaws.com" },
+        Action: "sts:AssumeRole",
+        Condition: { StringEquals: { "aws:SourceAccount": accountId } },
+      },
+    ],
+  });
+}
+
+const parseDocument = (doc) => JSON.parse(decodeURIComponent(doc));
+const asList = (v) => (v === undefined ? [] : Array.isArray(v) ? v : [v]);
+
+/* ------------------------------------------------------------------ */
+/* 2. Current vs desired policies                                      */
+/* ------------------------------------------------------------------ */
+async function currentPolicies(iam, roleName) {
+  const { AttachedPolicies = [] } = await iam.send(
+    new ListAttachedRolePoliciesCommand({ RoleName: roleName })
+  );
+  const { PolicyNames = [] } = await iam.send(new ListRolePoliciesCommand({ RoleName: roleName }));
+  const inline = {};
+  for (const name of PolicyNames) {
+    const { PolicyDocument } = await iam.send(
+      new GetRolePolicyCommand({ RoleName: roleName, PolicyName: name })
+    );
+    inline[name] = parseDocument(PolicyDocument);
+  }
+  return { managed: AttachedPolicies.map((p) => p.PolicyArn), inline };
+}
+
+// null when the role doesn't exist
+async function readRole(iam, roleName) {
+  try {
+    await iam.send(new GetRoleCommand({ RoleName: roleName }));
+  } catch (e) {
+    if (e.name !== "NoSuchEntityException") throw e;
+    return null;
+  }
+  return currentPolicies(iam, roleName);
+}
+
+function diffPolicies(current, config) {
+  const sameDocument = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  return {
+    attach: config.managedPolicies.filter((arn) => !current.managed.includes(arn)),
+    detach: current.managed.filter((arn) => !config.managedPolicies.includes(arn)),
+    put: Object.keys(config.policies).filter(
+      (name) => !current.inline[name] || !sameDocument(current.inline[name], config.policies[name])
+    ),
+    remove: Object.keys(current.inline).filter((name) => !(name in config.policies)),
+  };
+}
+
+function describeChanges(diff) {
+  return [
+    ...diff.attach.map((arn) => `+ ${arn.split("/").pop()}`),
+    ...diff.detach.map((arn) => `- ${arn.split("/").pop()}`),
+    ...diff.put.map((name) => `~ ${name} (inline)`),
+    ...diff.remove.map((name) => `- ${name} (inline)`),
+  ];
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Ensure: roles per project and env, reconciled every deploy       */
+/* ------------------------------------------------------------------ */
+// The role belongs to mydeploy: policies missing from config are removed.
+// `label` names it in output ("Task role"). Returns { arn, changes } with
+// changes as readable labels.
+export async function ensureProjectRole(iam, { roleName, accountId, config, label }) {
+  const arn = `arn:aws:iam::${accountId}:role/${roleName}`;
+  let created = false;
+  try {
+    await iam.send(new GetRoleCommand({ RoleName: roleName }));
+  } catch (e) {
+    if (e.name !== "NoSuchEntityException") throw e;
+    await iam.send(
+      new CreateRoleCommand({
+        RoleName: roleName,
+        AssumeRolePolicyDocument: trustPolicy(accountId),
+        Description: `${label} managed by mydeploy`,
+      })
+    );
+    created = true;
+  }
+
+  const current = created ? { managed: [], inline: {} } : await currentPolicies(iam, roleName);
+  const diff = diffPolicies(current, config);
+
+  for (const policyArn of diff.attach) {
+    await iam.send(new AttachRolePolicyCommand({ RoleName: roleName, PolicyArn: policyArn }));
+  }
+  for (const name of diff.put) {
+    await iam.send(
+      new PutRolePolicyCommand({
+        RoleName: roleName,
+        PolicyName: name,
+        PolicyDocument: JSON.stringify(config.policies[name]),
+      })
+    );
+  }
+  for (const policyArn of diff.detach) {
+    await iam.send(new DetachRolePolicyCommand({ RoleName: roleName, PolicyArn: policyArn }));
+  }
+  for (const name of diff.remove) {
+    await iam.send(new DeleteRolePolicyCommand({ RoleName: roleName, PolicyName: name }));
+  }
+
+  const changes = describeChanges(diff);
+  if (created) logger.success(`✅ Created ${label.toLowerCase()} → ${roleName}`);
+  changes.forEach((change) => logger.info(`${label}:`, change));
+  if (!created && !changes.length) logger.success(`✅ ${label} up to date → ${roleName}`);
+  return { arn, changes };
+}
+
+/* ------------------------------------------------------------------ */
+/* 4. Plan (dry run)                                                   */
+/* ------------------------------------------------------------------ */
+export function pendingRoleChanges(current, config) {
+  return describeChanges(diffPolicies(current || { managed: [], inline: {} }, config));
+}
+
+export async function planProjectRole(iam, { roleName, config }) {
+  const current = await readRole(iam, roleName);
+  const changes = pendingRoleChanges(current, config);
+  return {
+    resource: "IAM role",
+    name: roleName,
+    action: !current ? "create" : changes.length ? "update" : "no-op",
+    detail: changes.join(", ") || (current ? "" : "no permissions"),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* 5. Report: what a role can do, statement by statement               */
+/* ------------------------------------------------------------------ */
+async function managedPolicyDocument(iam, policyArn) {
+  const { Policy } = await iam.send(new GetPolicyCommand({ PolicyArn: policyArn }));
+  const { PolicyVersion } = await iam.send(
+    new GetPolicyVersionCommand({ PolicyArn: policyArn, VersionId: Policy.DefaultVersionId })
+  );
+  return parseDocument(PolicyVersion.Document);
+}
+
+function statementRows(source, document) {
+  return asList(document.Statement).map((s) => ({
+    Policy: source,
+    Effect: s.Effect,
+    Actions: asList(s.Action || s.NotAction).join("\n") || "-",
+    Resources: asList(s.Resource || s.NotResource).join("\n") || "-",
+  }));
+}
+
+// Returns null when the role doesn't exist yet
+export async function describeRolePermissions(iam, roleName) {
+  const current = await readRole(iam, roleName);
+  if (!current) return null;
+  const rows = [];
+  for (const policyArn of current.managed) {
+    rows.push(...statementRows(policyArn.split("/").pop(), await managedPolicyDocument(iam, policyArn)));
+  }
+  for (const [name, document] of Object.entries(current.inline)) {
+    rows.push(...statementRows(`${name} (inline)`, document));
+  }
+  return { rows, current };
+}
+
+// Both roles a project's tasks use, with what the next deploy would change
+export async function roleReport({ region, repositoryName, config, secrets }) {
+  const iam = new IAMClient({ region });
+  const roles = [
+    {
+      name: executionRoleName(repositoryName),
+      purpose: "ECS uses it to pull the image, write logs and read secrets",
+      config: executionRoleConfig(secrets),
+    },
+    { name: taskRoleName(repositoryName), purpose: "your app's AWS permissions", config },
+  ];
+  const report = [];
+  for (const role of roles) {
+    const permissions = await describeRolePermissions(iam, role.name);
+    report.push({
+      ...role,
+      exists: !!permissions,
+      rows: permissions?.rows || [],
+      pending: pendingRoleChanges(permissions?.current, role.config),
+    });
+  }
+  return report;
+}
@@ -0,0 +1,393 @@
+// src/aws/loadBalancer.js
+import {
+  ElasticLoadBalancingV2Client,
+  DescribeLoadBalancersCommand,
+  CreateLoadBalancerCommand,
+  DescribeTargetGroupsCommand,
+  CreateTargetGroupCommand,
+  ModifyTargetGroupCommand,
+  DescribeListenersCommand,
+  CreateListenerCommand,
+  ModifyListenerCommand,
+  DeleteListenerCommand,
+  DeleteLoadBalancerCommand,
+  DeleteTargetGroupCommand,
+  waitUntilLoadBalancerAvailable,
+  waitUntilLoadBalancersDeleted,
+} from "@aws-sdk/client-elastic-load-balancing-v2";
+import {
+  CreateSecurityGroupCommand,
+  AuthorizeSecurityGroupIngressCommand,
+} from "@aws-sdk/client-ec2";
+import { findSecurityGroup } from "./securityGroup.js";
+import { cappedName } from "../utils/project.js";
+import Logger from "../utils/logger.js";
+
+const logger = new Logger();
+
+const TLS_POLICY = "ELBSecurityPolicy-TLS13-1-2-2021-06";
+
+/* ------------------------------------------------------------------ */
+/* 1. Names: ALB and target group names are capped at 32 characters   */
+/* ------------------------------------------------------------------ */
+const elbName = (base, suffix) => cappedName(base, suffix, 32);
+
+// The port is part of the name: a target group's port can't be changed,
+// so a new container port gets a new group
+export function loadBalancerNames(repositoryName, containerPort) {
+  return {
+    loadBalancerName: elbName(repositoryName, "alb"),
+    targetGroupName: elbName(repositoryName, `${containerPort}-tg`),
+    securityGroupName: `${repositoryName}-alb-sg`,
+  };
+}
+
+// Any of the project's target groups, whatever port it was created for
+function isProjectTargetGroup(repositoryName, name) {
+  const port = Number(name.match(/-(\d+)-tg$/)?.[1]);
+  return !!port && loadBalancerNames(repositoryName, port).targetGroupName === name;
+}
+
+export function healthCheckPath(lb, healthCheck) {
+  return lb.healthCheckPath || healthCheck?.path || "/";
+}
+
+/* ------------------------------------------------------------------ */
+/* 2. Lookups shared by ensure, plan and destroy                       */
+/* ------------------------------------------------------------------ */
+export async function findLoadBalancer(elb, name) {
+  try {
+    const { LoadBalancers } = await elb.send(
+      new DescribeLoadBalancersCommand({ Names: [name] })
+    );
+    return LoadBalancers[0] || null;
+  } catch (e) {
+    if (e.name !== "LoadBalancerNotFoundException") throw e;
+    return null;
+  }
+}
+
+async function findTargetGroup(elb, name) {
+  try {
+    const { TargetGroups } = await elb.send(
+      new DescribeTargetGroupsCommand({ Names: [name] })
+    );
+    return TargetGroups[0] || null;
+  } catch (e) {
+    if (e.name !== "TargetGroupNotFoundException") throw e;
+    return null;
+  }
+}
+
+// By name rather than through the ALB: a group the listeners no longer
+// forward to is still the project's
+async function listProjectTargetGroups(elb, repositoryName) {
+  const groups = [];
+  let Marker;
+  do {
+    const res = await elb.send(new DescribeTargetGroupsCommand({ Marker }));
+    groups.push(
+      ...(res.TargetGroups || []).filter((tg) => isProjectTargetGroup(repositoryName, tg.TargetGroupName))
+    );
+    Marker = res.NextMarker;
+  } while (Marker);
+  return groups;
+}
+
+// The group the listeners send traffic to now (HTTPS first, as 80 may only redirect)
+async function liveTargetGroup(elb, loadBalancerArn) {
+  const { Listeners = [] } = await elb.send(
+    new DescribeListenersCommand({ LoadBalancerArn: loadBalancerArn })
+  );
+  for (const port of [443, 80]) {
+    const action = Listeners.find((l) => l.Port === port)?.DefaultActions?.find((a) => a.Type === "forward");
+    const arn = action?.TargetGroupArn || action?.ForwardConfig?.TargetGroups?.[0]?.TargetGroupArn;
+    if (arn) return arn;
+  }
+  return null;
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Ensure: security group → ALB → target group → listeners          */
+/* ------------------------------------------------------------------ */
+async function ensureAlbSecurityGroup(ec2, name, vpcId) {
+  const existing = await findSecurityGroup(ec2, name, vpcId);
+  if (existing) {
+    logger.success(`✅ ALB security group exists → ${existing.GroupId}`);
+    return existing.GroupId;
+  }
+  const { GroupId } = await ec2.send(
+    new CreateSecurityGroupCommand({
+      GroupName: name,
+      Description: `Public HTTP/HTTPS for ${name.replace(/-alb-sg$/, "")}`,
+      VpcId: vpcId,
+    })
+  );
+  await ec2.send(
+    new AuthorizeSecurityGroupIngressCommand({
+      GroupId,
+      IpPermissions: [80, 443].map((port) => ({
+        IpProtocol: "tcp",
+        FromPort: port,
+        ToPort: port,
+        IpRanges: [{ CidrIp: "0.0.0.0/0" }],
+      })),
+    })
+  );
+  logger.success(`✅ Created ALB security group → ${GroupId}`);
+  return GroupId;
+}
+
+// ALBs need subnets in at least two availability zones, one per zone
+function albSubnets(subnets) {
+  const byZone = new Map();
+  for (const s of subnets) if (!byZone.has(s.az)) byZone.set(s.az, s.id);
+  if (byZone.size < 2) {
+    throw new Error(
+      "A load balancer needs subnets in at least two availability zones; " +
+        `found ${byZone.size}. Add subnets or disable loadBalancer in mydeploy.yaml.`
+    );
+  }
+  return [...byZone.values()];
+}
+
+async function ensureTargetGroup(elb, { name, port, vpcId, path }) {
+  const healthCheck = {
+    HealthCheckPath: path,
+    HealthCheckIntervalSeconds: 30,
+    HealthyThresholdCount: 2,
+    UnhealthyThresholdCount: 3,
+    Matcher: { HttpCode: "200-399" },
+  };
+
+  const existing = await findTargetGroup(elb, name);
+  if (existing) {
+    if (existing.HealthCheckPath !== path) {
+      await elb.send(
+        new ModifyTargetGroupCommand({ TargetGroupArn: existing.TargetGroupArn, ...healthCheck })
+      );
+      logger.success(`✅ Target group health check → ${path}`);
+    } else {
+      logger.success(`✅ Target group exists → ${name}`);
+    }
+    return existing.TargetGroupArn;
+  }
+
+  const { TargetGroups } = await elb.send(
+    new CreateTargetGroupCommand({
+      Name: name,
+      Protocol: "HTTP",
+      Port: port,
+      VpcId: vpcId,
+      TargetType: "ip", // awsvpc tasks register by IP
+      ...healthCheck,
+    })
+  );
+  logger.success(`✅ Created target group → ${name} (port ${port}, health ${path})`);
+  return TargetGroups[0].TargetGroupArn;
+}
+
+const forward = (targetGroupArn) => [{ Type: "forward", TargetGroupArn: targetGroupArn }];
+const redirectToHttps = [
+  {
+    Type: "redirect",
+    RedirectConfig: { Protocol: "HTTPS", Port: "443", StatusCode: "HTTP_301" },
+  },
+];
+
+// Port 80 forwards, or redirects to 443 once a certificate is configured
+async function ensureListeners(elb, loadBalancerArn, targetGroupArn, certificateArn) {
+  const { Listeners = [] } = await elb.send(
+    new DescribeListenersCommand({ LoadBalancerArn: loadBalancerArn })
+  );
+  const byPort = new Map(Listeners.map((l) => [l.Port, l]));
+
+  const desired = [
+    { port: 80, protocol: "HTTP", actions: certificateArn ? redirectToHttps : forward(targetGroupArn) },
+  ];
+  if (certificateArn) {
+    desired.push({ port: 443, protocol: "HTTPS", actions: forward(targetGroupArn), certificateArn });
+  }
+
+  for (const l of desired) {
+    const tls = l.certificateArn
+      ? { Certificates: [{ CertificateArn: l.certificateArn }], SslPolicy: TLS_POLICY }
+      : {};
+    const current = byPort.get(l.port);
+    if (!current) {
+      await elb.send(
+        new CreateListenerCommand({
+          LoadBalancerArn: loadBalancerArn,
+          Port: l.port,
+          Protocol: l.protocol,
+          DefaultActions: l.actions,
+          ...tls,
+        })
+      );
+      logger.success(`✅ Created ${l.protocol} listener on ${l.port}`);
+      continue;
+    }
+    await elb.send(
+      new ModifyListenerCommand({
+        ListenerArn: current.ListenerArn,
+        Port: l.port,
+        Protocol: l.protocol,
+        DefaultActions: l.actions,
+        ...tls,
+      })
+    );
+  }
+
+  // Certificate removed from config: drop the HTTPS listener
+  if (!certificateArn && byPort.has(443)) {
+    await elb.send(new DeleteListenerCommand({ ListenerArn: byPort.get(443).ListenerArn }));
+    logger.warn("⚠️  Removed the HTTPS listener (no certificateArn configured)");
+  }
+}
+
+export async function ensureLoadBalancer(
+  elb,
+  ec2,
+  { repositoryName, containerPort, vpcId, subnets, config, healthCheck }
+) {
+  const names = loadBalancerNames(repositoryName, containerPort);
+  const securityGroupId = await ensureAlbSecurityGroup(ec2, names.securityGroupName, vpcId);
+
+  let lb = await findLoadBalancer(elb, names.loadBalancerName);
+  if (lb) {
+    logger.success(`✅ Load balancer exists → ${lb.DNSName}`);
+  } else {
+    logger.startSpinner("alb", `Creating load balancer ${names.loadBalancerName}…`);
+    const { LoadBalancers } = await elb.send(
+      new CreateLoadBalancerCommand({
+        Name: names.loadBalancerName,
+        Type: "application",
+        Scheme: config.internal ? "internal" : "internet-facing",
+        Subnets: albSubnets(subnets),
+        SecurityGroups: [securityGroupId],
+      })
+    );
+    lb = LoadBalancers[0];
+    await waitUntilLoadBalancerAvailable(
+      { client: elb, maxWaitTime: 600 },
+      { LoadBalancerArns: [lb.LoadBalancerArn] }
+    );
+    logger.succeedSpinner("alb", `✅ Created load balancer → ${lb.DNSName}`);
+  }
+
+  const targetGroupArn = await ensureTargetGroup(elb, {
+    name: names.targetGroupName,
+    port: containerPort,
+    vpcId,
+    path: healthCheckPath(config, healthCheck),
+  });
+  // A new group (the container port changed) is empty until the service
+  // registers tasks in it, so traffic stays on the old one until
+  // switchTargetGroup runs after the rollout
+  const live = await liveTargetGroup(elb, lb.LoadBalancerArn);
+  const forwardTo = live || targetGroupArn;
+  await ensureListeners(elb, lb.LoadBalancerArn, forwardTo, config.certificateArn);
+
+  return {
+    arn: lb.LoadBalancerArn,
+    dnsName: lb.DNSName,
+    securityGroupId,
+    targetGroupArn,
+    targetGroupName: names.targetGroupName,
+    switchPending: forwardTo !== targetGroupArn,
+    https: !!config.certificateArn,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* 4. After the rollout: move traffic, drop unused target groups       */
+/* ------------------------------------------------------------------ */
+export async function switchTargetGroup({ region, repositoryName, loadBalancer, config }) {
+  const elb = new ElasticLoadBalancingV2Client({ region });
+  if (loadBalancer.switchPending) {
+    await ensureListeners(elb, loadBalancer.arn, loadBalancer.targetGroupArn, config.certificateArn);
+    logger.success(`✅ Listeners now forward to ${loadBalancer.targetGroupName}`);
+  }
+
+  // Groups left behind by earlier container ports, once nothing forwards to them
+  for (const tg of await listProjectTargetGroups(elb, repositoryName)) {
+    if (tg.TargetGroupArn === loadBalancer.targetGroupArn || tg.LoadBalancerArns?.length) continue;
+    try {
+      await elb.send(new DeleteTargetGroupCommand({ TargetGroupArn: tg.TargetGroupArn }));
+      logger.success(`✅ Deleted unused target group → ${tg.TargetGroupName}`);
+    } catch (e) {
+      if (e.name !== "ResourceInUseException") throw e;
+    }
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* 5. Plan (dry run)                                                   */
+/* ------------------------------------------------------------------ */
+export async function planLoadBalancer(elb, { repositoryName, containerPort, config, healthCheck }) {
+  const names = loadBalancerNames(repositoryName, containerPort);
+  const rows = [];
+  const lb = await findLoadBalancer(elb, names.loadBalancerName);
+  rows.push({
+    resource: "Load balancer",
+    name: names.loadBalancerName,
+    action: lb ? "no-op" : "create",
+    detail: lb?.DNSName || (config.internal ? "internal" : "internet-facing"),
+  });
+
+  const path = healthCheckPath(config, healthCheck);
+  const tg = await findTargetGroup(elb, names.targetGroupName);
+  rows.push({
+    resource: "Target group",
+    name: names.targetGroupName,
+    action: !tg ? "create" : tg.HealthCheckPath !== path ? "update" : "no-op",
+    detail: `port ${containerPort}, health ${path}`,
+  });
+  rows.push({
+    resource: "Listeners",
+    name: config.certificateArn ? "80 → 443, 443 (HTTPS)" : "80 (HTTP)",
+    action: lb ? "update" : "create",
+    detail: [
+      config.certificateArn ? config.certificateArn.split("/").pop() : "no certificate",
+      lb && !tg && `switch to ${names.targetGroupName} after the rollout`,
+    ].filter(Boolean).join(", "),
+  });
+  for (const old of await listProjectTargetGroups(elb, repositoryName)) {
+    if (old.TargetGroupName === names.targetGroupName) continue;
+    rows.push({ resource: "Target group", name: old.TargetGroupName, action: "delete", detail: "after the rollout" });
+  }
+  return rows;
+}
+
+/* ------------------------------------------------------------------ */
+/* 6. Destroy                                                          */
+/* ------------------------------------------------------------------ */
+// Target groups are found by name, so ones from an earlier container port
+// go too, even after the load balancer itself is gone
+export async function planDestroyLoadBalancer(elb, repositoryName) {
+  const { loadBalancerName } = loadBalancerNames(repositoryName, 0);
+  const lb = await findLoadBalancer(elb, loadBalancerName);
+  const groups = await listProjectTargetGroups(elb, repositoryName);
+  if (!lb && !groups.length) return null;
+  return {
+    name: lb ? loadBalancerName : null,
+    arn: lb?.LoadBalancerArn || null,
+    targetGroups: groups.map((tg) => ({ name: tg.TargetGroupName, arn: tg.TargetGroupArn })),
+  };
+}
+
+export async function destroyLoadBalancer(elb, plan) {
+  if (plan.arn) {
+    logger.startSpinner("alb", `Deleting load balancer ${plan.name}…`);
+    await elb.send(new DeleteLoadBalancerCommand({ LoadBalancerArn: plan.arn }));
+    await waitUntilLoadBalancersDeleted(
+      { client: elb, maxWaitTime: 600 },
+      { LoadBalancerArns: [plan.arn] }
+    );
+    logger.succeedSpinner("alb", `✅ Deleted load balancer → ${plan.name}`);
+  }
+  for (const tg of plan.targetGroups) {
+    await elb.send(new DeleteTargetGroupCommand({ TargetGroupArn: tg.arn }));
+  }
+  if (plan.targetGroups.length) logger.success(`✅ Deleted ${plan.targetGroups.length} target group(s)`);
+}
@@ -0,0 +1,161 @@
+// src/aws/logs.js
+import {
+  CloudWatchLogsClient,
+  FilterLogEventsCommand,
+} from "@aws-sdk/client-cloudwatch-logs";
+import { ECSClient, ListTasksCommand } from "@aws-sdk/client-ecs";
+import chalk from "chalk";
+
+const TASK_COLORS = ["cyan", "magenta", "green", "yellow", "blue", "red"];
+const MAX_STREAMS = 100; // FilterLogEvents limit for logStreamNames
+
+/* ------------------------------------------------------------------ */
+/* 1. Parse "--since" values (30s, 15m, 1h, 2d or an ISO date)         */
+/* ------------------------------------------------------------------ */
+export function parseSince(value, now = Date.now()) {
+  if (!value) return now - 10 * 60 * 1000;
+
+  const match = String(value).trim().match(/^(\d+)\s*([smhdw])$/i);
+  if (match) {
+    const units = { s: 1e3, m: 60e3, h: 3600e3, d: 86400e3, w: 604800e3 };
+    return now - Number(match[1]) * units[match[2].toLowerCase()];
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    throw new Error(
+      `Invalid --since value "${value}" (use e.g. 30s, 15m, 1h, 2d or an ISO date)`
+    );
+  }
+  return date;
+}
+
+/* ------------------------------------------------------------------ */
+/* 2. Running task IDs for a service                                   */
+/* ------------------------------------------------------------------ */
+export async function listServiceTaskIds(ecs, clusterName, serviceName) {
+  const ids = [];
+  let nextToken;
+  do {
+    const res = await ecs.send(
+      new ListTasksCommand({
+        cluster: clusterName,
+        serviceName,
+        desiredStatus: "RUNNING",
+        nextToken,
+      })
+    );
+    ids.push(...(res.taskArns || []).map((arn) => arn.split("/").pop()));
+    nextToken = res.nextToken;
+  } while (nextToken);
+  return ids;
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Fetch events from one or more streams, sorted by timestamp       */
+/* ------------------------------------------------------------------ */
+export async function fetchLogEvents(
+  cwl,
+  { logGroupName, logStreamNames, logStreamNamePrefix, startTime, filterPattern }
+) {
+  const events = [];
+  let nextToken;
+  do {
+    let res;
+    try {
+      res = await cwl.send(
+        new FilterLogEventsCommand({
+          logGroupName,
+          logStreamNames: logStreamNames?.length ? logStreamNames : undefined,
+          logStreamNamePrefix: logStreamNames?.length ? undefined : logStreamNamePrefix,
+          startTime,
+          filterPattern: filterPattern || undefined,
+          nextToken,
+        })
+      );
+    } catch (e) {
+      if (e.name !== "ResourceNotFoundException") throw e;
+      throw new Error(
+        `Log group ${logGroupName} not found. Has the service been deployed yet?`
+      );
+    }
+    events.push(...(res.events || []));
+    nextToken = res.nextToken;
+  } while (nextToken);
+
+  events.sort((a, b) => a.timestamp - b.timestamp);
+  return events;
+}
+
+/* ------------------------------------------------------------------ */
+/* 4. Tail the service log group                                       */
+/* ------------------------------------------------------------------ */
+export async function tailLogs({
+  region = "us-east-1",
+  clusterName,
+  serviceName,
+  logGroupName,
+  streamPrefix,
+  startTime,
+  filterPattern,
+  taskId,
+  follow = false,
+  pollInterval = 3000,
+}) {
+  const cwl = new CloudWatchLogsClient({ region });
+  const ecs = new ECSClient({ region });
+  const colors = new Map();
+  let seen = new Set();
+  let since = startTime;
+
+  const streamsFor = async () => {
+    const ids = taskId
+      ? [taskId]
+      : await listServiceTaskIds(ecs, clusterName, serviceName);
+    return ids.slice(0, MAX_STREAMS).map((id) => `${streamPrefix}/${id}`);
+  };
+
+  const print = (ev) => {
+    const id = ev.logStreamName.split("/").pop();
+    if (!colors.has(id)) {
+      colors.set(id, TASK_COLORS[colors.size % TASK_COLORS.length]);
+    }
+    const prefix = chalk[colors.get(id)](`[${id.slice(0, 8)}]`);
+    const time = chalk.dim(new Date(ev.timestamp).toISOString());
+    console.log(`${prefix} ${time} ${ev.message.trimEnd()}`);
+  };
+
+  let logStreamNames = await streamsFor();
+  if (!logStreamNames.length) {
+    console.log(
+      chalk.yellow("⚠️  No running tasks found; showing recent logs from all streams")
+    );
+  }
+
+  for (;;) {
+    const events = await fetchLogEvents(cwl, {
+      logGroupName,
+      logStreamNames,
+      logStreamNamePrefix: `${streamPrefix}/`,
+      startTime: since,
+      filterPattern,
+    });
+
+    const fresh = events.filter((ev) => !seen.has(ev.eventId));
+    fresh.forEach(print);
+
+    if (!follow) return fresh.length;
+
+    // FilterLogEvents' startTime is inclusive, so remember the IDs at the
+    // newest timestamp to avoid printing them twice on the next poll.
+    if (events.length) {
+      since = events[events.length - 1].timestamp;
+      seen = new Set(
+        events.filter((ev) => ev.timestamp === since).map((ev) => ev.eventId)
+      );
+    }
+
+    await new Promise((r) => setTimeout(r, pollInterval));
+    if (!taskId) logStreamNames = await streamsFor();
+  }
+}
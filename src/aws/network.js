@@ -0,0 +1,435 @@
+// src/aws/network.js
+import {
+  EC2Client,
+  DescribeVpcsCommand,
+  DescribeSubnetsCommand,
+  DescribeRouteTablesCommand,
+  DescribeAvailabilityZonesCommand,
+  CreateVpcCommand,
+  ModifyVpcAttributeCommand,
+  CreateInternetGatewayCommand,
+  AttachInternetGatewayCommand,
+  CreateRouteTableCommand,
+  CreateRouteCommand,
+  AssociateRouteTableCommand,
+  CreateSubnetCommand,
+  ModifySubnetAttributeCommand,
+  AllocateAddressCommand,
+  CreateNatGatewayCommand,
+  waitUntilVpcAvailable,
+  waitUntilNatGatewayAvailable,
+} from "@aws-sdk/client-ec2";
+import Logger from "../utils/logger.js";
+
+const logger = new Logger();
+
+// The VPC `createVpc` builds is shared by every project in the region
+const MANAGED_VPC_NAME = "mydeploy-vpc";
+const MANAGED_TAG = "mydeploy:managed";
+
+const tagFilters = (tags) =>
+  Object.entries(tags).map(([key, value]) => ({ Name: `tag:${key}`, Values: [value] }));
+const showTags = (tags) =>
+  Object.entries(tags).map(([key, value]) => `${key}=${value}`).join(", ");
+const tagSpec = (ResourceType, name, extra = {}) => [
+  {
+    ResourceType,
+    Tags: [
+      { Key: "Name", Value: name },
+      { Key: MANAGED_TAG, Value: "true" },
+      ...Object.entries(extra).map(([Key, Value]) => ({ Key, Value })),
+    ],
+  },
+];
+
+/* ------------------------------------------------------------------ */
+/* 1. VPC: by ID, by tags, the default VPC, or the one we created      */
+/* ------------------------------------------------------------------ */
+async function findVpc(ec2, config, region) {
+  if (config.vpcId) {
+    try {
+      const { Vpcs } = await ec2.send(new DescribeVpcsCommand({ VpcIds: [config.vpcId] }));
+      return { id: Vpcs[0].VpcId, source: "network.vpcId" };
+    } catch (e) {
+      if (e.name !== "InvalidVpcID.NotFound") throw e;
+      throw new Error(`VPC ${config.vpcId} (network.vpcId) does not exist in ${region}`);
+    }
+  }
+
+  if (config.vpcTags) {
+    const { Vpcs } = await ec2.send(
+      new DescribeVpcsCommand({ Filters: tagFilters(config.vpcTags) })
+    );
+    if (Vpcs.length !== 1) {
+      throw new Error(
+        Vpcs.length
+          ? `network.vpcTags (${showTags(config.vpcTags)}) matches ${Vpcs.length} VPCs in ${region}: ` +
+              `${Vpcs.map((v) => v.VpcId).join(", ")}. Narrow the tags or set network.vpcId.`
+          : `No VPC in ${region} is tagged ${showTags(config.vpcTags)} (network.vpcTags)`
+      );
+    }
+    return { id: Vpcs[0].VpcId, source: "network.vpcTags" };
+  }
+
+  const { Vpcs: defaults } = await ec2.send(
+    new DescribeVpcsCommand({ Filters: [{ Name: "is-default", Values: ["true"] }] })
+  );
+  if (defaults.length) return { id: defaults[0].VpcId, source: "default VPC" };
+
+  const { Vpcs: managed } = await ec2.send(
+    new DescribeVpcsCommand({ Filters: tagFilters({ [MANAGED_TAG]: "true" }) })
+  );
+  if (managed.length) return { id: managed[0].VpcId, source: MANAGED_VPC_NAME, managed: true };
+  return null;
+}
+
+/* ------------------------------------------------------------------ */
+/* 2. Subnets, classified by where their 0.0.0.0/0 route goes         */
+/* ------------------------------------------------------------------ */
+// "internet" (internet gateway: public), "nat" (NAT or similar: private
+// with outbound access) or null (isolated)
+async function egressResolver(ec2, vpcId) {
+  const { RouteTables = [] } = await ec2.send(
+    new DescribeRouteTablesCommand({ Filters: [{ Name: "vpc-id", Values: [vpcId] }] })
+  );
+  const egress = (rt) => {
+    const route = (rt?.Routes || []).find(
+      (r) => r.DestinationCidrBlock === "0.0.0.0/0" && r.State !== "blackhole"
+    );
+    if (!route) return null;
+    if (route.GatewayId?.startsWith("igw-")) return "internet";
+    return route.NatGatewayId || route.TransitGatewayId || route.NetworkInterfaceId || route.InstanceId
+      ? "nat"
+      : null;
+  };
+
+  // Subnets without an explicit association use the VPC's main table
+  const main = RouteTables.find((rt) => rt.Associations?.some((a) => a.Main));
+  const bySubnet = new Map();
+  for (const rt of RouteTables) {
+    for (const a of rt.Associations || []) if (a.SubnetId) bySubnet.set(a.SubnetId, rt);
+  }
+  return (subnetId) => egress(bySubnet.get(subnetId) || main);
+}
+
+async function describeSubnets(ec2, vpcId, config) {
+  if (config.subnetIds) {
+    let Subnets;
+    try {
+      ({ Subnets } = await ec2.send(new DescribeSubnetsCommand({ SubnetIds: config.subnetIds })));
+    } catch (e) {
+      if (e.name !== "InvalidSubnetID.NotFound") throw e;
+      throw new Error(`network.subnetIds: ${e.message}`);
+    }
+    const foreign = Subnets.find((s) => s.VpcId !== vpcId);
+    if (foreign) {
+      throw new Error(
+        `Subnet ${foreign.SubnetId} (network.subnetIds) belongs to ${foreign.VpcId}, not ${vpcId}`
+      );
+    }
+    return Subnets;
+  }
+
+  const { Subnets } = await ec2.send(
+    new DescribeSubnetsCommand({
+      Filters: [
+        { Name: "vpc-id", Values: [vpcId] },
+        ...(config.subnetTags ? tagFilters(config.subnetTags) : []),
+      ],
+    })
+  );
+  if (config.subnetTags && !Subnets.length) {
+    throw new Error(`No subnet in ${vpcId} is tagged ${showTags(config.subnetTags)} (network.subnetTags)`);
+  }
+  return Subnets;
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Resolve (read-only): every error surfaces before anything exists */
+/* ------------------------------------------------------------------ */
+export async function resolveNetwork(ec2, config, region) {
+  const vpc = await findVpc(ec2, config, region);
+  if (!vpc) {
+    if (config.createVpc) return { create: true, source: `new ${MANAGED_VPC_NAME}` };
+    throw new Error(
+      `There is no default VPC in ${region}. Set network.vpcId or network.vpcTags in ` +
+        "mydeploy.yaml, or network.createVpc: true to create a small one."
+    );
+  }
+
+  const egressOf = await egressResolver(ec2, vpc.id);
+  const toSubnet = (s) => ({ id: s.SubnetId, az: s.AvailabilityZone, egress: egressOf(s.SubnetId) });
+  const all = (await describeSubnets(ec2, vpc.id, {})).map(toSubnet);
+  const publicSubnets = all.filter((s) => s.egress === "internet");
+
+  const subnets =
+    config.subnetIds || config.subnetTags
+      ? (await describeSubnets(ec2, vpc.id, config)).map(toSubnet)
+      : all.filter((s) => (config.private ? s.egress !== "internet" : s.egress === "internet"));
+
+  if (!subnets.length) {
+    throw new Error(
+      config.private
+        ? `${vpc.id} has no private subnets (every subnet routes to an internet gateway). ` +
+            "Choose subnets with network.subnetIds or network.subnetTags."
+        : `${vpc.id} has no public subnets (none routes to an internet gateway). ` +
+            "Set network.private: true to run tasks without public IPs."
+    );
+  }
+
+  const warnings = [];
+  let needsNat = false;
+  if (!config.private) {
+    const closed = subnets.find((s) => s.egress !== "internet");
+    if (closed) {
+      throw new Error(
+        `Subnet ${closed.id} has no route to an internet gateway, so a public IP won't work there. ` +
+          "Set network.private: true or choose public subnets."
+      );
+    }
+  } else {
+    const exposed = subnets.filter((s) => s.egress === "internet");
+    if (exposed.length) {
+      warnings.push(
+        `Subnet(s) ${exposed.map((s) => s.id).join(", ")} route to an internet gateway: ` +
+          "without a public IP, tasks there have no outbound access"
+      );
+    }
+    const isolated = subnets.filter((s) => !s.egress);
+    if (isolated.length && vpc.managed) {
+      needsNat = true;
+    } else if (isolated.length) {
+      warnings.push(
+        `Subnet(s) ${isolated.map((s) => s.id).join(", ")} have no NAT route: tasks there can ` +
+          "only pull images through VPC endpoints for ECR, S3 and CloudWatch Logs"
+      );
+    }
+  }
+
+  return {
+    create: false,
+    vpcId: vpc.id,
+    source: vpc.source,
+    managed: !!vpc.managed,
+    subnets,
+    publicSubnets,
+    assignPublicIp: config.private ? "DISABLED" : "ENABLED",
+    needsNat,
+    warnings,
+  };
+}
+
+const availabilityZones = (subnets) => new Set(subnets.map((s) => s.az)).size;
+
+// Internet-facing ALBs live in public subnets even when the tasks don't
+export const loadBalancerSubnets = (network, loadBalancer) =>
+  loadBalancer.internal ? network.subnets : network.publicSubnets;
+
+// Cheap checks for `deploy`, run before the image is built
+export async function preflightNetwork({ region, network: config, loadBalancer }) {
+  const network = await resolveNetwork(new EC2Client({ region }), config, region);
+  if (network.create) {
+    logger.info("Network:", `no VPC found, ${network.source} will be created`);
+    return network;
+  }
+
+  if (loadBalancer) {
+    const albSubnets = loadBalancerSubnets(network, loadBalancer);
+    const zones = availabilityZones(albSubnets);
+    if (zones < 2) {
+      const kind = loadBalancer.internal ? "subnets" : "public subnets";
+      throw new Error(
+        `The load balancer needs ${kind} in two availability zones; ${network.vpcId} has them in ${zones}`
+      );
+    }
+  }
+
+  network.warnings.forEach((w) => logger.warn(`⚠️  ${w}`));
+  logger.info(
+    "Network:",
+    `${network.vpcId} (${network.source}), ${network.subnets.length} subnet(s), ` +
+      (config.private ? "private" : "public IP")
+  );
+  return network;
+}
+
+/* ------------------------------------------------------------------ */
+/* 4. Create: a two-AZ VPC with public and private subnets             */
+/* ------------------------------------------------------------------ */
+async function createMinimalVpc(ec2, region) {
+  const { AvailabilityZones = [] } = await ec2.send(
+    new DescribeAvailabilityZonesCommand({
+      Filters: [
+        { Name: "state", Values: ["available"] },
+        { Name: "zone-type", Values: ["availability-zone"] },
+      ],
+    })
+  );
+  const zones = AvailabilityZones.slice(0, 2).map((z) => z.ZoneName);
+  if (zones.length < 2) throw new Error(`${region} has fewer than two availability zones`);
+
+  logger.startSpinner("vpc", `Creating ${MANAGED_VPC_NAME} in ${region}…`);
+  const { Vpc } = await ec2.send(
+    new CreateVpcCommand({
+      CidrBlock: "10.0.0.0/16",
+      TagSpecifications: tagSpec("vpc", MANAGED_VPC_NAME),
+    })
+  );
+  const vpcId = Vpc.VpcId;
+  await waitUntilVpcAvailable({ client: ec2, maxWaitTime: 120 }, { VpcIds: [vpcId] });
+  // Interface endpoints (ECR, Logs) need DNS hostnames
+  await ec2.send(
+    new ModifyVpcAttributeCommand({ VpcId: vpcId, EnableDnsHostnames: { Value: true } })
+  );
+
+  const { InternetGateway } = await ec2.send(
+    new CreateInternetGatewayCommand({
+      TagSpecifications: tagSpec("internet-gateway", `${MANAGED_VPC_NAME}-igw`),
+    })
+  );
+  await ec2.send(
+    new AttachInternetGatewayCommand({
+      InternetGatewayId: InternetGateway.InternetGatewayId,
+      VpcId: vpcId,
+    })
+  );
+  const publicTable = await createRouteTable(ec2, vpcId, `${MANAGED_VPC_NAME}-public`, {
+    GatewayId: InternetGateway.InternetGatewayId,
+  });
+
+  // Private subnets keep the main table (local only) until a NAT is needed
+  for (const [i, az] of zones.entries()) {
+    const publicId = await createSubnet(ec2, vpcId, az, `10.0.${i}.0/24`, "public");
+    await ec2.send(
+      new ModifySubnetAttributeCommand({ SubnetId: publicId, MapPublicIpOnLaunch: { Value: true } })
+    );
+    await ec2.send(new AssociateRouteTableCommand({ RouteTableId: publicTable, SubnetId: publicId }));
+    await createSubnet(ec2, vpcId, az, `10.0.${10 + i}.0/24`, "private");
+  }
+
+  logger.succeedSpinner("vpc", `✅ Created ${MANAGED_VPC_NAME} → ${vpcId} (${zones.join(", ")})`);
+  return vpcId;
+}
+
+async function createSubnet(ec2, vpcId, az, cidr, tier) {
+  const { Subnet } = await ec2.send(
+    new CreateSubnetCommand({
+      VpcId: vpcId,
+      AvailabilityZone: az,
+      CidrBlock: cidr,
+      TagSpecifications: tagSpec("subnet", `${MANAGED_VPC_NAME}-${tier}-${az}`, {
+        "mydeploy:tier": tier,
+      }),
+    })
+  );
+  return Subnet.SubnetId;
+}
+
+async function createRouteTable(ec2, vpcId, name, target) {
+  const { RouteTable } = await ec2.send(
+    new CreateRouteTableCommand({ VpcId: vpcId, TagSpecifications: tagSpec("route-table", name) })
+  );
+  await ec2.send(
+    new CreateRouteCommand({
+      RouteTableId: RouteTable.RouteTableId,
+      DestinationCidrBlock: "0.0.0.0/0",
+      ...target,
+    })
+  );
+  return RouteTable.RouteTableId;
+}
+
+// Private tasks in our own VPC get outbound access through one NAT gateway
+async function ensureNatGateway(ec2, network) {
+  const [publicSubnet] = network.publicSubnets;
+  if (!publicSubnet) throw new Error(`${network.vpcId} has no public subnet for a NAT gateway`);
+
+  logger.startSpinner("nat", "Creating NAT gateway for private subnets…");
+  const { AllocationId } = await ec2.send(
+    new AllocateAddressCommand({
+      Domain: "vpc",
+      TagSpecifications: tagSpec("elastic-ip", `${MANAGED_VPC_NAME}-nat`),
+    })
+  );
+  const { NatGateway } = await ec2.send(
+    new CreateNatGatewayCommand({
+      SubnetId: publicSubnet.id,
+      AllocationId,
+      TagSpecifications: tagSpec("natgateway", `${MANAGED_VPC_NAME}-nat`),
+    })
+  );
+  await waitUntilNatGatewayAvailable(
+    { client: ec2, maxWaitTime: 600 },
+    { NatGatewayIds: [NatGateway.NatGatewayId] }
+  );
+
+  const privateTable = await createRouteTable(ec2, network.vpcId, `${MANAGED_VPC_NAME}-private`, {
+    NatGatewayId: NatGateway.NatGatewayId,
+  });
+  for (const subnet of network.subnets.filter((s) => !s.egress)) {
+    await ec2.send(new AssociateRouteTableCommand({ RouteTableId: privateTable, SubnetId: subnet.id }));
+  }
+  logger.succeedSpinner("nat", `✅ Created NAT gateway → ${NatGateway.NatGatewayId}`);
+  logger.warn("⚠️  NAT gateways are billed hourly, whether or not traffic flows");
+}
+
+/* ------------------------------------------------------------------ */
+/* 5. Ensure: resolve, creating the VPC or NAT gateway when asked      */
+/* ------------------------------------------------------------------ */
+export async function ensureNetwork(ec2, config, region) {
+  let network = await resolveNetwork(ec2, config, region);
+  if (network.create) {
+    await createMinimalVpc(ec2, region);
+    network = await resolveNetwork(ec2, config, region);
+  }
+  if (network.needsNat) {
+    await ensureNatGateway(ec2, network);
+    network = await resolveNetwork(ec2, config, region);
+  }
+
+  network.warnings.forEach((w) => logger.warn(`⚠️  ${w}`));
+  logger.success(
+    `✅ Network → ${network.vpcId} (${network.source}), ${network.subnets.length} subnet(s), ` +
+      (config.private ? "no public IP" : "public IP")
+  );
+  return network;
+}
+
+/* ------------------------------------------------------------------ */
+/* 6. Plan (dry run)                                                   */
+/* ------------------------------------------------------------------ */
+export async function planNetwork(ec2, config, region) {
+  let network;
+  try {
+    network = await resolveNetwork(ec2, config, region);
+  } catch (err) {
+    return { network: null, rows: [{ resource: "VPC", name: "-", action: "error", detail: err.message }] };
+  }
+  if (network.create) {
+    return {
+      network,
+      rows: [
+        {
+          resource: "VPC",
+          name: MANAGED_VPC_NAME,
+          action: "create",
+          detail: `10.0.0.0/16, 2 AZs${config.private ? ", NAT gateway" : ""}`,
+        },
+      ],
+    };
+  }
+
+  const rows = [
+    { resource: "VPC", name: network.vpcId, action: "no-op", detail: network.source },
+    {
+      resource: "Subnets",
+      name: network.subnets.map((s) => s.id).join(", "),
+      action: "no-op",
+      detail: config.private ? "private, no public IP" : "public IP",
+    },
+  ];
+  if (network.needsNat) {
+    rows.push({ resource: "NAT gateway", name: `${MANAGED_VPC_NAME}-nat`, action: "create", detail: "billed hourly" });
+  }
+  return { network, rows };
+}
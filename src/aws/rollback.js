@@ -0,0 +1,97 @@
+// src/aws/rollback.js
+import {
+  ECSClient,
+  DescribeServicesCommand,
+  DescribeTaskDefinitionCommand,
+  ListTaskDefinitionsCommand,
+  UpdateServiceCommand,
+} from "@aws-sdk/client-ecs";
+import { waitForStable } from "./deployToECS.js";
+import Logger from "../utils/logger.js";
+
+const logger = new Logger();
+
+/* ------------------------------------------------------------------ */
+/* 1. Current task definition of a service                             */
+/* ------------------------------------------------------------------ */
+export async function getCurrentTaskDefinition(ecs, clusterName, serviceName) {
+  const { services } = await ecs.send(
+    new DescribeServicesCommand({ cluster: clusterName, services: [serviceName] })
+  );
+  const svc = services?.[0];
+  if (!svc || svc.status !== "ACTIVE") {
+    throw new Error(`Service ${serviceName} not found in cluster ${clusterName}`);
+  }
+  const { taskDefinition } = await ecs.send(
+    new DescribeTaskDefinitionCommand({ taskDefinition: svc.taskDefinition })
+  );
+  return taskDefinition;
+}
+
+/* ------------------------------------------------------------------ */
+/* 2. Revisions of a family, newest first, with their images           */
+/* ------------------------------------------------------------------ */
+export async function listRevisions(ecs, family, limit = 10) {
+  const arns = [];
+  let nextToken;
+  do {
+    const res = await ecs.send(
+      new ListTaskDefinitionsCommand({
+        familyPrefix: family,
+        status: "ACTIVE",
+        sort: "DESC",
+        nextToken,
+      })
+    );
+    // familyPrefix is a prefix match, so drop e.g. "app-task-v2" for "app-task"
+    arns.push(
+      ...(res.taskDefinitionArns || []).filter(
+        (arn) => arn.split("/").pop().replace(/:\d+$/, "") === family
+      )
+    );
+    nextToken = res.nextToken;
+  } while (nextToken && arns.length < limit);
+
+  const revisions = [];
+  for (const arn of arns.slice(0, limit)) {
+    revisions.push(await describeRevision(ecs, arn));
+  }
+  return revisions;
+}
+
+export async function describeRevision(ecs, taskDefinition) {
+  const { taskDefinition: td } = await ecs.send(
+    new DescribeTaskDefinitionCommand({ taskDefinition })
+  );
+  return {
+    arn: td.taskDefinitionArn,
+    revision: td.revision,
+    images: td.containerDefinitions.map((c) => c.image),
+    registeredAt: td.registeredAt,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Point the service at a revision and wait for it to settle        */
+/* ------------------------------------------------------------------ */
+export async function rollbackService({
+  region = "us-east-1",
+  clusterName,
+  serviceName,
+  taskDefinitionArn,
+}) {
+  const ecs = new ECSClient({ region });
+
+  logger.startSpinner("rollback", `Updating ${serviceName} → ${taskDefinitionArn.split("/").pop()}`);
+  await ecs.send(
+    new UpdateServiceCommand({
+      cluster: clusterName,
+      service: serviceName,
+      taskDefinition: taskDefinitionArn,
+      forceNewDeployment: true,
+    })
+  );
+  logger.succeedSpinner("rollback", "✅ Service updated");
+
+  await waitForStable(ecs, clusterName, serviceName);
+}
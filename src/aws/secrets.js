@@ -0,0 +1,110 @@
+// src/aws/secrets.js
+import {
+  SSMClient,
+  PutParameterCommand,
+  DeleteParameterCommand,
+} from "@aws-sdk/client-ssm";
+import {
+  SecretsManagerClient,
+  CreateSecretCommand,
+  PutSecretValueCommand,
+  DeleteSecretCommand,
+} from "@aws-sdk/client-secrets-manager";
+import { STSClient, GetCallerIdentityCommand } from "@aws-sdk/client-sts";
+
+export const SECRET_STORES = ["ssm", "secretsmanager"];
+
+/* ------------------------------------------------------------------ */
+/* 1. Names                                                            */
+/* ------------------------------------------------------------------ */
+// One namespace per project and env, so the execution role can be
+// scoped to exactly the values it injects
+export function secretName(repositoryName, name, store) {
+  const prefix = store === "ssm" ? "/mydeploy" : "mydeploy";
+  return `${prefix}/${repositoryName}/${name}`;
+}
+
+// "ssm" or "secretsmanager"
+export const secretStore = (arn) => arn.split(":")[2];
+
+// Parameter name or secret name (with its random suffix), for display
+export const secretId = (arn) =>
+  secretStore(arn) === "ssm" ? arn.slice(arn.indexOf(":parameter") + ":parameter".length) : arn.split(":")[6];
+
+// References the user wrote by hand point at values mydeploy must not delete
+export function isManagedSecret(arn, repositoryName) {
+  return secretId(arn).replace(/^\//, "").startsWith(`mydeploy/${repositoryName}/`);
+}
+
+const tags = (repositoryName) => [
+  { Key: "mydeploy:managed", Value: "true" },
+  { Key: "mydeploy:project", Value: repositoryName },
+];
+
+/* ------------------------------------------------------------------ */
+/* 2. Write and delete                                                 */
+/* ------------------------------------------------------------------ */
+// Creates or overwrites the value; returns the ARN for `valueFrom`
+export async function putSecret({ region, repositoryName, name, value, store = "ssm" }) {
+  const Name = secretName(repositoryName, name, store);
+
+  if (store === "secretsmanager") {
+    const sm = new SecretsManagerClient({ region });
+    try {
+      const { ARN } = await sm.send(
+        new CreateSecretCommand({ Name, SecretString: value, Tags: tags(repositoryName) })
+      );
+      return ARN;
+    } catch (e) {
+      if (e.name !== "ResourceExistsException") throw e;
+      const { ARN } = await sm.send(new PutSecretValueCommand({ SecretId: Name, SecretString: value }));
+      return ARN;
+    }
+  }
+
+  const ssm = new SSMClient({ region });
+  // Tags can only be given on create, and create can't overwrite
+  try {
+    await ssm.send(
+      new PutParameterCommand({ Name, Value: value, Type: "SecureString", Tags: tags(repositoryName) })
+    );
+  } catch (e) {
+    if (e.name !== "ParameterAlreadyExists") throw e;
+    await ssm.send(new PutParameterCommand({ Name, Value: value, Type: "SecureString", Overwrite: true }));
+  }
+  const { Account } = await new STSClient({ region }).send(new GetCallerIdentityCommand({}));
+  return `arn:aws:ssm:${region}:${Account}:parameter${Name}`;
+}
+
+// Already gone counts as deleted
+export async function deleteSecret({ region, arn }) {
+  try {
+    if (secretStore(arn) === "secretsmanager") {
+      await new SecretsManagerClient({ region }).send(
+        new DeleteSecretCommand({ SecretId: arn, ForceDeleteWithoutRecovery: true })
+      );
+    } else {
+      await new SSMClient({ region }).send(new DeleteParameterCommand({ Name: secretId(arn) }));
+    }
+  } catch (e) {
+    if (!["ParameterNotFound", "ResourceNotFoundException"].includes(e.name)) throw e;
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Execution role access to exactly these values                    */
+/* ------------------------------------------------------------------ */
+// Returns null when there's nothing to read. SecureString parameters
+// under the default aws/ssm key need no extra kms:Decrypt grant.
+export function secretsPolicy(arns) {
+  const ssm = arns.filter((arn) => secretStore(arn) === "ssm");
+  // A JSON key or version after the secret's ARN isn't part of its resource
+  const sm = arns
+    .filter((arn) => secretStore(arn) === "secretsmanager")
+    .map((arn) => arn.split(":").slice(0, 7).join(":"));
+  const Statement = [
+    ssm.length && { Effect: "Allow", Action: ["ssm:GetParameters"], Resource: ssm },
+    sm.length && { Effect: "Allow", Action: ["secretsmanager:GetSecretValue"], Resource: sm },
+  ].filter(Boolean);
+  return Statement.length ? { Version: "2012-10-17", Statement } : null;
+}
@@ -0,0 +1,151 @@
+// src/aws/securityGroup.js
+import {
+  DescribeSecurityGroupsCommand,
+  CreateSecurityGroupCommand,
+  AuthorizeSecurityGroupIngressCommand,
+  RevokeSecurityGroupIngressCommand,
+} from "@aws-sdk/client-ec2";
+import Logger from "../utils/logger.js";
+
+const logger = new Logger();
+
+/* ------------------------------------------------------------------ */
+/* 1. Desired rules: the container port, from CIDRs or groups          */
+/* ------------------------------------------------------------------ */
+// With a load balancer only the ALB reaches the tasks, unless ingress says
+// otherwise; without one the port is public unless ingress restricts it
+export function desiredIngress({ containerPort, ingress = {}, loadBalancerGroupId = null }) {
+  const groups = [...(ingress.securityGroups || [])];
+  if (loadBalancerGroupId) groups.unshift(loadBalancerGroupId);
+  const cidrs = ingress.cidrs ?? (groups.length ? [] : ["0.0.0.0/0"]);
+
+  const port = { protocol: "tcp", from: containerPort, to: containerPort };
+  return [
+    ...cidrs.map((cidr) => ({ ...port, cidr })),
+    ...[...new Set(groups)].map((group) => ({ ...port, group })),
+  ];
+}
+
+const ruleKey = (r) => `${r.protocol}:${r.from}:${r.to}:${r.cidr || r.group}`;
+
+export function describeRule(r) {
+  const source = r.cidr || r.group;
+  if (r.protocol === "-1") return `all traffic from ${source}`;
+  const ports = r.from === r.to ? r.from : `${r.from}-${r.to}`;
+  return `${ports}/${r.protocol} from ${source}`;
+}
+
+function currentIngress(group) {
+  return (group.IpPermissions || []).flatMap((p) => {
+    const port = { protocol: p.IpProtocol, from: p.FromPort, to: p.ToPort };
+    return [
+      ...(p.IpRanges || []).map((r) => ({ ...port, cidr: r.CidrIp })),
+      ...(p.Ipv6Ranges || []).map((r) => ({ ...port, cidr: r.CidrIpv6 })),
+      ...(p.UserIdGroupPairs || []).map((g) => ({ ...port, group: g.GroupId })),
+    ];
+  });
+}
+
+function toPermission(r) {
+  const permission = { IpProtocol: r.protocol, FromPort: r.from, ToPort: r.to };
+  if (r.group) permission.UserIdGroupPairs = [{ GroupId: r.group }];
+  else if (r.cidr.includes(":")) permission.Ipv6Ranges = [{ CidrIpv6: r.cidr }];
+  else permission.IpRanges = [{ CidrIp: r.cidr }];
+  return permission;
+}
+
+export function diffIngress(current, desired) {
+  const have = new Set(current.map(ruleKey));
+  const want = new Set(desired.map(ruleKey));
+  return {
+    add: desired.filter((r) => !have.has(ruleKey(r))),
+    remove: current.filter((r) => !want.has(ruleKey(r))),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* 2. Ensure: create the group, then reconcile its ingress             */
+/* ------------------------------------------------------------------ */
+export async function findSecurityGroup(ec2, name, vpcId) {
+  const { SecurityGroups } = await ec2.send(
+    new DescribeSecurityGroupsCommand({
+      Filters: [
+        { Name: "group-name", Values: [name] },
+        { Name: "vpc-id", Values: [vpcId] },
+      ],
+    })
+  );
+  return SecurityGroups[0] || null;
+}
+
+// The group belongs to mydeploy: rules that aren't desired are revoked.
+// Returns { groupId, rules, added, removed } with rules as readable labels.
+export async function ensureServiceSecurityGroup(ec2, { project, vpcId, rules }) {
+  const name = `${project}-sg`;
+  let group = await findSecurityGroup(ec2, name, vpcId);
+  if (!group) {
+    const { GroupId } = await ec2.send(
+      new CreateSecurityGroupCommand({
+        GroupName: name,
+        Description: `SG for ${project}`,
+        VpcId: vpcId,
+      })
+    );
+    logger.success(`✅ Created SG → ${GroupId}`);
+    group = { GroupId, IpPermissions: [] };
+  }
+
+  const { add, remove } = diffIngress(currentIngress(group), rules);
+  // Authorize first so the port is never closed in between
+  if (add.length) {
+    await ec2.send(
+      new AuthorizeSecurityGroupIngressCommand({
+        GroupId: group.GroupId,
+        IpPermissions: add.map(toPermission),
+      })
+    );
+  }
+  if (remove.length) {
+    await ec2.send(
+      new RevokeSecurityGroupIngressCommand({
+        GroupId: group.GroupId,
+        IpPermissions: remove.map(toPermission),
+      })
+    );
+  }
+
+  add.forEach((r) => logger.info("Ingress:", `+ ${describeRule(r)}`));
+  remove.forEach((r) => logger.info("Ingress:", `- ${describeRule(r)}`));
+  if (!add.length && !remove.length) {
+    logger.success(`✅ Security group up to date → ${group.GroupId}`);
+  }
+
+  return {
+    groupId: group.GroupId,
+    rules: rules.map(describeRule),
+    added: add.map(describeRule),
+    removed: remove.map(describeRule),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Plan (dry run)                                                   */
+/* ------------------------------------------------------------------ */
+export async function planServiceSecurityGroup(ec2, { project, vpcId, rules }) {
+  const name = `${project}-sg`;
+  const group = vpcId ? await findSecurityGroup(ec2, name, vpcId) : null;
+  if (!group) {
+    return { resource: "Security group", name, action: "create", detail: rules.map(describeRule).join(", ") };
+  }
+  const { add, remove } = diffIngress(currentIngress(group), rules);
+  const changes = [
+    ...add.map((r) => `+ ${describeRule(r)}`),
+    ...remove.map((r) => `- ${describeRule(r)}`),
+  ];
+  return {
+    resource: "Security group",
+    name,
+    action: changes.length ? "update" : "no-op",
+    detail: changes.join(", ") || group.GroupId,
+  };
+}
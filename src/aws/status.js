@@ -0,0 +1,131 @@
+// src/aws/status.js
+import {
+  ECSClient,
+  DescribeServicesCommand,
+  DescribeTasksCommand,
+  DescribeTaskDefinitionCommand,
+  ListTasksCommand,
+} from "@aws-sdk/client-ecs";
+
+/* ------------------------------------------------------------------ */
+/* 1. Task definition summary (revision + images), cached per ARN      */
+/* ------------------------------------------------------------------ */
+async function describeTaskDef(ecs, arn, cache) {
+  if (!cache.has(arn)) {
+    const { taskDefinition: td } = await ecs.send(
+      new DescribeTaskDefinitionCommand({ taskDefinition: arn })
+    );
+    cache.set(arn, {
+      family: td.family,
+      revision: td.revision,
+      cpu: td.cpu,
+      memory: td.memory,
+      images: td.containerDefinitions.map((c) => c.image),
+    });
+  }
+  return cache.get(arn);
+}
+
+/* ------------------------------------------------------------------ */
+/* 2. Running + recently stopped tasks                                 */
+/* ------------------------------------------------------------------ */
+async function describeServiceTasks(ecs, cluster, serviceName) {
+  const arns = [];
+  for (const desiredStatus of ["RUNNING", "STOPPED"]) {
+    let nextToken;
+    do {
+      const res = await ecs.send(
+        new ListTasksCommand({ cluster, serviceName, desiredStatus, nextToken })
+      );
+      arns.push(...(res.taskArns || []));
+      nextToken = res.nextToken;
+    } while (nextToken);
+  }
+  if (!arns.length) return [];
+
+  const tasks = [];
+  // DescribeTasks accepts at most 100 ARNs per call
+  for (let i = 0; i < arns.length; i += 100) {
+    const res = await ecs.send(
+      new DescribeTasksCommand({ cluster, tasks: arns.slice(i, i + 100) })
+    );
+    tasks.push(...(res.tasks || []));
+  }
+  return tasks;
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Snapshot of service, deployments, events and tasks               */
+/* ------------------------------------------------------------------ */
+export async function getServiceStatus({
+  region = "us-east-1",
+  clusterName,
+  serviceName,
+  eventCount = 10,
+}) {
+  const ecs = new ECSClient({ region });
+  const tdCache = new Map();
+
+  const { services } = await ecs.send(
+    new DescribeServicesCommand({ cluster: clusterName, services: [serviceName] })
+  );
+  const svc = services?.[0];
+  if (!svc || svc.status === "INACTIVE") {
+    throw new Error(`Service ${serviceName} not found in cluster ${clusterName}`);
+  }
+
+  const deployments = [];
+  for (const d of svc.deployments || []) {
+    const td = await describeTaskDef(ecs, d.taskDefinition, tdCache);
+    deployments.push({
+      id: d.id,
+      status: d.status,
+      rolloutState: d.rolloutState,
+      rolloutStateReason: d.rolloutStateReason,
+      desiredCount: d.desiredCount,
+      runningCount: d.runningCount,
+      pendingCount: d.pendingCount,
+      failedTasks: d.failedTasks,
+      taskDefinition: `${td.family}:${td.revision}`,
+      images: td.images,
+      createdAt: d.createdAt,
+      updatedAt: d.updatedAt,
+    });
+  }
+
+  const tasks = (await describeServiceTasks(ecs, clusterName, serviceName))
+    .map((t) => ({
+      taskId: t.taskArn.split("/").pop(),
+      taskDefinition: t.taskDefinitionArn.split("/").pop(),
+      lastStatus: t.lastStatus,
+      desiredStatus: t.desiredStatus,
+      healthStatus: t.healthStatus,
+      startedAt: t.startedAt,
+      stoppedAt: t.stoppedAt,
+      stoppedReason: t.stoppedReason,
+      containers: (t.containers || []).map((c) => ({
+        name: c.name,
+        lastStatus: c.lastStatus,
+        healthStatus: c.healthStatus,
+        exitCode: c.exitCode,
+        reason: c.reason,
+      })),
+    }))
+    .sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+
+  return {
+    cluster: clusterName,
+    service: serviceName,
+    status: svc.status,
+    desiredCount: svc.desiredCount,
+    runningCount: svc.runningCount,
+    pendingCount: svc.pendingCount,
+    taskDefinition: svc.taskDefinition.split("/").pop(),
+    deployments,
+    events: (svc.events || []).slice(0, eventCount).map((ev) => ({
+      createdAt: ev.createdAt,
+      message: ev.message,
+    })),
+    tasks,
+  };
+}
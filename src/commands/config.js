@@ -41,7 +41,7 @@ async function saveConfig(config) {
   }
 }
 
-import { writeEnvKey } from '../utils/env.js';
+import { maskSensitiveValue, writeEnvKey } from '../utils/env.js';
 
 export async function setConfig(key, value) {
   try {
@@ -115,20 +115,6 @@ function printConfigObject(obj, prefix = '') {
   }
 }
 
-function maskSensitiveValue(key, value) {
-  const sensitiveKeys = ['key', 'secret', 'token', 'password', 'pass'];
-  const lowerKey = key.toLowerCase();
-  
-  if (sensitiveKeys.some(sensitive => lowerKey.includes(sensitive))) {
-    if (typeof value === 'string' && value.length > 8) {
-      return value.substring(0, 4) + '*'.repeat(value.length - 8) + value.substring(value.length - 4);
-    }
-    return '*'.repeat(8);
-  }
-  
-  return value;
-}
-
 export async function initConfig(options = {}) {
   logger.title("🔧 Configuration Setup");
   
@@ -1,96 +1,508 @@
 import path from "path";
 import fs from "fs-extra";
-import { buildDockerImage } from "../utils/docker.js";
-import { pushToECR, deployToECS } from "../aws/deployToECS.js";
-import { createResources } from "../aws/createResources.js";
+import chalk from "chalk";
+import { buildDockerImage, resolveImageTag } from "../utils/docker.js";
+import { pushToECR, resolveImageDigest, deployToECS } from "../aws/deployToECS.js";
+import { createResources, ensureRepository, planResources } from "../aws/createResources.js";
+import { preflightNetwork } from "../aws/network.js";
+import { switchTargetGroup } from "../aws/loadBalancer.js";
+import { roleReport } from "../aws/iam.js";
+import { resolveDeployNames, selectServices } from "../utils/project.js";
+import { resolveFramework } from "../ai/detectFramework.js";
+import { inferTemplateVars } from "../ai/templateVars.js";
+import { loadManifest, saveManifestSetting, writeStarterManifest } from "../utils/manifest.js";
+import { collectFailureContext, renderFailureReport, writeFailureReport } from "../aws/diagnose.js";
+import { resolveAIConfig } from "../ai/providers.js";
+import { diagnoseFailure } from "../ai/diagnoseFailure.js";
 import Logger from "../utils/logger.js";
 
 const logger = new Logger();
 
-export default async function deployCommand(projectPath = ".", options) {
-  const resolvedPath = path.resolve(projectPath);
-  const { env, region, cluster, service } = options;
+/* ------------------------------------------------------------------ */
+/* 1. Prepare: everything decided before Docker or AWS is touched      */
+/* ------------------------------------------------------------------ */
+async function prepareTarget(resolvedPath, projectPath, options) {
+  const { env, cluster, service } = options;
 
-  logger.title(`🚀 Deploy to ${env.toUpperCase()}`);
-  logger.info("Project path:", resolvedPath);
-  logger.info("Environment:", env);
-  logger.info("Region:", region);
+  const { framework, source: frameworkSource } = await resolveFramework(
+    resolvedPath,
+    options.framework
+  );
+  if (framework) logger.info("Framework:", `${framework} (${frameworkSource})`);
 
-  const dockerfilePath = path.join(resolvedPath, "Dockerfile");
-  if (!fs.existsSync(dockerfilePath)) {
-    logger.error("❌ Dockerfile not found. Run 'mydeploy init' first.");
-    process.exit(1);
+  if (!fs.existsSync(path.join(resolvedPath, "Dockerfile"))) {
+    const hint = framework ? ` --framework ${framework}` : "";
+    throw new Error(`Dockerfile not found. Run 'mydeploy init ${projectPath}${hint}' first.`);
   }
 
-  const pkgPath = path.join(resolvedPath, "package.json");
-  const projectName =
-    fs.existsSync(pkgPath)
-      ? JSON.parse(await fs.readFile(pkgPath, "utf8")).name ||
-        path.basename(resolvedPath)
-      : path.basename(resolvedPath);
+  const names = await resolveDeployNames(resolvedPath, { env, cluster, service });
+  const { manifest } = names;
+  if (manifest.exists) logger.info("Manifest:", manifest.path);
 
-  const sanitizedName = projectName.toLowerCase().replace(/[^a-z0-9-]/g, "-");
+  const unset = manifest.requiredEnv.filter(
+    (name) => !(name in manifest.environment) && !(name in manifest.secrets)
+  );
+  if (unset.length) {
+    logger.warn(`⚠️  Required environment variable(s) not set for ${env}: ${unset.join(", ")}`);
+    logger.info(`Set them with 'mydeploy env set <NAME> <value> --env ${env}' (add --secret for sensitive values).`);
+  }
 
-  const clusterName =
-    cluster || process.env.CLUSTER_NAME || `${sanitizedName}-cluster`;
+  // Without a manifest, the framework's usual port beats the generic default
+  const containerPort =
+    !manifest.exists && framework
+      ? (await inferTemplateVars(framework, resolvedPath)).port
+      : manifest.port;
 
-  const serviceName =
-    service || process.env.SERVICE_NAME || `${sanitizedName}-service`;
+  // An explicit --framework is remembered; the Dockerfile may predate it
+  if (frameworkSource === "flag" && manifest.framework !== framework && !global.dryRun) {
+    const updated = manifest.exists
+      ? await saveManifestSetting(resolvedPath, "framework", framework)
+      : await writeStarterManifest(resolvedPath, { port: containerPort, framework });
+    if (updated) logger.fileOperation(manifest.exists ? "update" : "create", updated);
+    if (manifest.framework) {
+      logger.warn(`⚠️  The Dockerfile was generated for ${manifest.framework}. Regenerate it with:`);
+      logger.info(chalk.cyan(`mydeploy init ${projectPath} --framework ${framework} --force`));
+    }
+  }
 
-  const repositoryName = `${sanitizedName}-${env}`;
-  const imageName = `${repositoryName}:latest`;
+  const imageTag = await resolveImageTag(resolvedPath, options.tag);
+  const imageName = `${names.repositoryName}:${imageTag}`;
 
   logger.debug("Resolved names:", {
-    clusterName,
-    serviceName,
-    repositoryName,
+    clusterName: names.clusterName,
+    serviceName: names.serviceName,
+    repositoryName: names.repositoryName,
     imageName
   });
 
-  if (global.dryRun) {
-    logger.dryRun("Would build Docker image");
-    logger.dryRun("Would create AWS resources");
-    logger.dryRun("Would push to ECR");
-    logger.dryRun("Would deploy to ECS");
-    return;
+  return {
+    ...names,
+    resolvedPath,
+    framework,
+    imageTag,
+    imageName,
+    taskDef: {
+      containerPort,
+      cpu: String(manifest.cpu),
+      memory: String(manifest.memory),
+      desiredCount: manifest.desiredCount,
+      environment: manifest.environment,
+      secrets: manifest.secrets,
+      healthCheck: manifest.healthCheck,
+      deployment: manifest.deployment,
+      loadBalancer: manifest.loadBalancer,
+      network: manifest.network,
+      ingress: manifest.ingress,
+      iam: manifest.iam
+    }
+  };
+}
+
+// --show-iam: what each role can do now, and what the next deploy changes
+async function printIamReport(target, region) {
+  const roles = await roleReport({
+    region,
+    repositoryName: target.repositoryName,
+    config: target.taskDef.iam,
+    secrets: target.taskDef.secrets
+  });
+  for (const role of roles) {
+    logger.subtitle(`🔐 ${role.name} (${role.purpose})`);
+    if (!role.exists) logger.info("Not created yet.");
+    else if (!role.rows.length) logger.info("No permissions.");
+    else logger.table(role.rows);
+    if (role.pending.length) {
+      logger.warn(`⚠️  The next deploy will apply: ${role.pending.join(", ")}`);
+    }
   }
+}
 
-  try {
-    logger.step(1, 4, "Building Docker image");
-    await buildDockerImage(resolvedPath, imageName);
+// VPC and subnet problems stop the deploy before anything is built or created
+async function checkNetwork(target, region) {
+  const { network, loadBalancer } = target.taskDef;
+  await preflightNetwork({ region, network, loadBalancer });
+}
 
-    logger.step(2, 4, "Creating AWS resources");
-    const { repositoryUri } = await createResources({
-      clusterName,
-      serviceName,         
-      region,
-      repositoryName
-    });
+/* ------------------------------------------------------------------ */
+/* 2. Release: steps 2–5 for an already built image                    */
+/* ------------------------------------------------------------------ */
+async function releaseTarget(target, options) {
+  const { clusterName, serviceName, repositoryName, imageTag, imageName, taskDef, manifest } = target;
+  const { region } = options;
+
+  logger.step(2, 5, "Preparing ECR repository");
+  const repositoryUri = await ensureRepository({ repositoryName, region });
 
-    logger.step(3, 4, "Pushing image to ECR");
-    await pushToECR(imageName, repositoryUri, region);
+  logger.step(3, 5, "Pushing image to ECR");
+  const { imageUri, digest } = options.skipPush
+    ? await resolveImageDigest(repositoryUri, imageTag, region)
+    : await pushToECR(imageName, repositoryUri, region, imageTag);
+  logger.info("Image:", imageUri);
 
-    logger.step(4, 4, "Updating ECS service");
+  logger.step(4, 5, "Creating AWS resources");
+  const { taskDefinitionArn, loadBalancer, ingress, taskRole } = await createResources({
+    clusterName,
+    serviceName,
+    region,
+    repositoryName,
+    repositoryUri,
+    image: imageUri,
+    taskDef
+  });
+
+  logger.step(5, 5, "Updating ECS service");
+  try {
     await deployToECS({
       clusterName,
       serviceName,
-      repositoryUri,
       region,
-      localImageTag: imageName
+      image: imageUri,
+      taskDefinitionArn,
+      desiredCount: manifest.desiredCount
     });
+  } catch (err) {
+    if (err.code === "DEPLOY_UNSTABLE") await reportFailure(target, taskDefinitionArn, err, options);
+    throw err;
+  }
+  // Only now are the new tasks registered in a new target group
+  if (loadBalancer) {
+    await switchTargetGroup({ region, repositoryName, loadBalancer, config: taskDef.loadBalancer });
+  }
+
+  return {
+    repositoryUri,
+    imageUri,
+    digest,
+    taskDefinitionArn,
+    url: serviceUrl(loadBalancer),
+    ingress,
+    taskRole
+  };
+}
+
+function printIngressChanges({ added, removed }) {
+  added.forEach((rule) => logger.info("Ingress changed:", chalk.green(`+ ${rule}`)));
+  removed.forEach((rule) => logger.info("Ingress changed:", chalk.red(`- ${rule}`)));
+}
+
+const ingressSummary = ({ added, removed }) =>
+  added.length || removed.length ? `+${added.length} / -${removed.length}` : "unchanged";
+
+const serviceUrl = (lb) => (lb ? `${lb.https ? "https" : "http"}://${lb.dnsName}` : null);
+
+// Collect what ECS knows about the failed rollout, ask the AI for a likely
+// cause, and keep everything in a report. Never masks the original error.
+async function reportFailure(target, taskDefinitionArn, error, options) {
+  try {
+    logger.startSpinner("diagnose", "🩺 Collecting stopped tasks, logs and events…");
+    const context = await collectFailureContext({
+      region: options.region,
+      clusterName: target.clusterName,
+      serviceName: target.serviceName,
+      taskDefinitionArn,
+      logGroupName: target.logGroupName,
+      containerName: target.containerName,
+      projectPath: target.resolvedPath,
+      error,
+    });
+    logger.succeedSpinner("diagnose", `✅ Collected ${context.tasks.length} stopped task(s), ${context.logs.length} log line(s)`);
+
+    let diagnosis = null;
+    const aiConfig = options.ai === false ? null : resolveAIConfig();
+    if (aiConfig?.problems.length) {
+      logger.info(`Configure ${aiConfig.label} (see 'mydeploy config') for an automatic diagnosis.`);
+    } else if (aiConfig) {
+      logger.startSpinner("diagnose-ai", `🤖 Asking ${aiConfig.label} what went wrong…`);
+      try {
+        diagnosis = await diagnoseFailure(renderFailureReport(context), aiConfig);
+        logger.succeedSpinner("diagnose-ai", "✅ Diagnosis ready");
+      } catch (err) {
+        logger.failSpinner("diagnose-ai", `❌ ${aiConfig.label} API error: ${err.message}`);
+      }
+    }
+
+    const file = await writeFailureReport(target.resolvedPath, context, diagnosis);
+    if (diagnosis) {
+      logger.subtitle("🩺 Probable cause");
+      console.log(diagnosis);
+    }
+    logger.info("Failure report:", file);
+  } catch (err) {
+    logger.stopSpinner("diagnose");
+    logger.warn("⚠️  Could not build a failure report:", err.message);
+    if (global.verbose) console.error(err);
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Single project                                                   */
+/* ------------------------------------------------------------------ */
+export default async function deployCommand(projectPath = ".", options) {
+  const resolvedPath = path.resolve(projectPath);
+  const { env, region } = options;
+
+  logger.title(`🚀 Deploy to ${env.toUpperCase()}`);
+  logger.info("Project path:", resolvedPath);
+  logger.info("Environment:", env);
+  logger.info("Region:", region);
+
+  let services;
+  try {
+    ({ services } = await loadManifest(resolvedPath, env));
+  } catch (err) {
+    logger.error("❌", err.message);
+    process.exit(1);
+  }
+  if (services.length) return deployWorkspace(projectPath, services, options);
+  if (options.only) {
+    logger.error("❌ --only needs a monorepo root with `services` in mydeploy.yaml");
+    process.exit(1);
+  }
+
+  let target;
+  try {
+    target = await prepareTarget(resolvedPath, projectPath, options);
+  } catch (err) {
+    logger.error("❌", err.message);
+    process.exit(1);
+  }
+
+  if (options.showIam) {
+    try {
+      await printIamReport(target, region);
+    } catch (err) {
+      logger.error("❌ Could not read IAM roles:", err.message);
+      if (global.verbose) console.error(err);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (global.dryRun) {
+    try {
+      await printPlan({ ...target, region });
+    } catch (err) {
+      logger.error("❌ Could not build deployment plan:", err.message);
+      if (global.verbose) console.error(err);
+      process.exit(1);
+    }
+    return;
+  }
+
+  try {
+    await checkNetwork(target, region);
+  } catch (err) {
+    logger.error("❌ Network check failed:", err.message);
+    if (global.verbose) console.error(err);
+    process.exit(1);
+  }
+
+  try {
+    logger.step(1, 5, "Building Docker image");
+    if (options.skipBuild) {
+      logger.info("Skipping build (--skip-build)");
+    } else {
+      await buildDockerImage(resolvedPath, target.imageName);
+    }
+
+    const { repositoryUri, digest, taskDefinitionArn, url, ingress, taskRole } =
+      await releaseTarget(target, options);
+    const { clusterName, serviceName, framework, imageTag, manifest } = target;
 
     logger.success("✅ Deployment completed!");
     logger.separator();
     logger.table([
       { Property: "Cluster", Value: clusterName },
       { Property: "Service", Value: serviceName },
+      { Property: "Framework", Value: framework || "-" },
       { Property: "Repository", Value: repositoryUri },
+      { Property: "Image Tag", Value: imageTag },
+      { Property: "Digest", Value: digest },
+      { Property: "Task Definition", Value: taskDefinitionArn.split("/").pop() },
+      { Property: "Size", Value: `${manifest.cpu} CPU / ${manifest.memory} MiB × ${manifest.desiredCount}` },
       { Property: "Region", Value: region },
-      { Property: "Environment", Value: env }
+      { Property: "Environment", Value: env },
+      { Property: "Ingress", Value: ingress.rules.join("\n") },
+      { Property: "Task Role", Value: taskRole.arn.split("/").pop() },
+      ...(url ? [{ Property: "URL", Value: url }] : [])
     ]);
+    printIngressChanges(ingress);
+    if (url) logger.success(`🌐 Live at ${url}`);
   } catch (err) {
     logger.error("❌ Deployment failed:", err.message);
     if (global.verbose) console.error(err);
     process.exit(1);
   }
 }
+
+/* ------------------------------------------------------------------ */
+/* 4. Monorepo: build in parallel, release one service at a time       */
+/* ------------------------------------------------------------------ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function deployWorkspace(projectPath, services, options) {
+  const resolvedPath = path.resolve(projectPath);
+  const { env, region } = options;
+  const parallel = Math.max(1, Number.parseInt(options.parallel, 10) || 1);
+
+  let targets;
+  try {
+    const selected = selectServices(services, options.only);
+    for (const flag of ["service", "framework"]) {
+      if (options[flag] && selected.length > 1) {
+        throw new Error(`--${flag} applies to a single service; combine it with --only <service>`);
+      }
+    }
+
+    targets = [];
+    for (const svc of selected) {
+      logger.subtitle(`📦 ${svc.name} (${svc.path})`);
+      const target = await prepareTarget(
+        path.join(resolvedPath, svc.path),
+        path.join(projectPath, svc.path),
+        options
+      );
+      targets.push({ ...target, name: svc.name });
+    }
+  } catch (err) {
+    logger.error("❌", err.message);
+    process.exit(1);
+  }
+
+  if (options.showIam) {
+    try {
+      for (const target of targets) {
+        logger.subtitle(`📦 ${target.name}`);
+        await printIamReport(target, region);
+      }
+    } catch (err) {
+      logger.error("❌ Could not read IAM roles:", err.message);
+      if (global.verbose) console.error(err);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (global.dryRun) {
+    try {
+      for (const target of targets) {
+        logger.subtitle(`📦 ${target.name}`);
+        await printPlan({ ...target, region });
+      }
+    } catch (err) {
+      logger.error("❌ Could not build deployment plan:", err.message);
+      if (global.verbose) console.error(err);
+      process.exit(1);
+    }
+    return;
+  }
+
+  for (const target of targets) {
+    try {
+      await checkNetwork(target, region);
+    } catch (err) {
+      logger.error(`❌ ${target.name}: network check failed:`, err.message);
+      if (global.verbose) console.error(err);
+      process.exit(1);
+    }
+  }
+
+  logger.step(1, 5, `Building ${targets.length} image(s), ${parallel} at a time`);
+  const builds = options.skipBuild
+    ? targets.map(() => ({ ok: true }))
+    : await mapWithConcurrency(targets, parallel, async (target) => {
+        try {
+          await buildDockerImage(target.resolvedPath, target.imageName, { spinner: false });
+          return { ok: true };
+        } catch (err) {
+          return { ok: false, error: err.message };
+        }
+      });
+
+  const rows = [];
+  for (const [i, target] of targets.entries()) {
+    const row = {
+      Service: target.name,
+      "ECS Service": target.serviceName,
+      Framework: target.framework || "-",
+      "Image Tag": target.imageTag,
+      "Task Definition": "-",
+      URL: "-",
+      Ingress: "-",
+      Result: "",
+    };
+    rows.push(row);
+
+    if (!builds[i].ok) {
+      row.Result = chalk.red("build failed");
+      continue;
+    }
+    logger.subtitle(`🚀 ${target.name}`);
+    try {
+      const { taskDefinitionArn, url, ingress } = await releaseTarget(target, options);
+      row["Task Definition"] = taskDefinitionArn.split("/").pop();
+      row.URL = url || "-";
+      row.Ingress = ingressSummary(ingress);
+      row.Result = chalk.green("deployed");
+    } catch (err) {
+      logger.error(`❌ ${target.name} failed:`, err.message);
+      if (global.verbose) console.error(err);
+      row.Result = chalk.red(err.rolledBack ? "rolled back" : "failed");
+    }
+  }
+
+  logger.separator();
+  logger.info("Cluster:", targets[0].clusterName);
+  logger.info("Environment:", env);
+  logger.table(rows);
+
+  const failed = rows.filter((r) => !r.Result.includes("deployed")).length;
+  if (failed) {
+    logger.error(`❌ ${failed} of ${rows.length} service(s) failed to deploy.`);
+    process.exit(1);
+  }
+  logger.success(`✅ Deployed ${rows.length} service(s)!`);
+}
+
+async function printPlan(params) {
+  const actionColors = { create: "green", update: "yellow", "no-op": "dim", error: "red" };
+
+  logger.startSpinner("plan", "Comparing against live AWS state…");
+  const { resources, taskDefinitionDiff } = await planResources(params);
+  logger.stopSpinner("plan");
+
+  logger.subtitle("Deployment plan");
+  logger.dryRun(`Would build and push ${params.repositoryName}:${params.imageTag}`);
+  logger.table(
+    resources.map((r) => ({
+      Resource: r.resource,
+      Name: r.name,
+      Action: chalk[actionColors[r.action]](r.action),
+      Detail: r.detail,
+    }))
+  );
+
+  logger.subtitle("Task definition changes");
+  if (!taskDefinitionDiff.length) {
+    console.log(chalk.dim("  (no changes)"));
+  }
+  taskDefinitionDiff.forEach(({ field, from, to }) => {
+    if (from === undefined) console.log(chalk.green(`  + ${field}: ${to}`));
+    else if (to === undefined) console.log(chalk.red(`  - ${field}: ${from}`));
+    else console.log(chalk.yellow(`  ~ ${field}: ${from} → ${to}`));
+  });
+
+  const pending = resources.filter((r) => r.action !== "no-op").length;
+  logger.info(`${pending} resource(s) would change. Run without --dry-run to apply.`);
+}
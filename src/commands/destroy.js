@@ -0,0 +1,124 @@
+// src/commands/destroy.js
+import path from "path";
+import chalk from "chalk";
+import inquirer from "inquirer";
+import { planDestroy, destroyResources } from "../aws/destroyResources.js";
+import { resolveDeployNames } from "../utils/project.js";
+import Logger from "../utils/logger.js";
+
+const logger = new Logger();
+
+function printPlan(plan) {
+  const del = chalk.red("delete");
+  const keep = (reason) => chalk.dim(`keep${reason ? ` (${reason})` : ""}`);
+  const rows = [];
+
+  if (plan.service) {
+    rows.push({
+      Resource: "ECS service",
+      Name: plan.serviceName,
+      Action: `${chalk.red("scale to 0 + delete")} (${plan.service.desiredCount} task(s))`,
+    });
+  }
+  if (plan.loadBalancer?.arn) {
+    const groups = plan.loadBalancer.targetGroups.length;
+    rows.push({
+      Resource: "Load balancer",
+      Name: plan.loadBalancer.name,
+      Action: `${del} (with ${groups} target group(s))`,
+    });
+  } else {
+    plan.loadBalancer?.targetGroups.forEach((tg) =>
+      rows.push({ Resource: "Target group", Name: tg.name, Action: del })
+    );
+  }
+  if (plan.taskDefinitions.length) {
+    rows.push({
+      Resource: "Task definitions",
+      Name: `${plan.family} (${plan.taskDefinitions.length} revision(s))`,
+      Action: chalk.red("deregister"),
+    });
+  }
+  plan.securityGroups.forEach((sg) =>
+    rows.push({ Resource: "Security group", Name: `${sg.name} (${sg.id})`, Action: del })
+  );
+  if (plan.repository) {
+    rows.push({
+      Resource: "ECR repository",
+      Name: plan.repositoryName,
+      Action: plan.repository.keep ? keep("--keep-images") : `${del} (including all images)`,
+    });
+  }
+  if (plan.cluster) {
+    rows.push({
+      Resource: "ECS cluster",
+      Name: plan.clusterName,
+      Action: plan.cluster.keep ? keep(plan.cluster.reason) : del,
+    });
+  }
+  plan.roles.forEach((role) =>
+    rows.push({ Resource: "IAM role", Name: role.name, Action: role.keep ? keep(role.reason) : del })
+  );
+  plan.secrets.forEach((secret) =>
+    rows.push({ Resource: "Secret", Name: `${secret.name} (${secret.id})`, Action: del })
+  );
+
+  logger.subtitle("Teardown plan");
+  logger.table(rows);
+  return rows.length;
+}
+
+export default async function destroyCommand(projectPath = ".", options) {
+  const resolvedPath = path.resolve(projectPath);
+  const { env, region, cluster, service, keepImages, keepCluster } = options;
+
+  const { projectName, sanitizedName, clusterName, serviceName, repositoryName, family } =
+    await resolveDeployNames(resolvedPath, { env, cluster, service });
+
+  logger.title(`💣 Destroy ${projectName} (${env})`);
+  logger.info("Region:", region);
+
+  try {
+    logger.startSpinner("plan", "Inspecting AWS resources…");
+    const plan = await planDestroy({
+      clusterName,
+      serviceName,
+      repositoryName,
+      family,
+      region,
+      keepImages,
+      keepCluster,
+    });
+    logger.stopSpinner("plan");
+
+    if (!printPlan(plan)) {
+      logger.info("Nothing to destroy.");
+      return;
+    }
+
+    if (global.dryRun) {
+      logger.dryRun("Would destroy the resources above");
+      return;
+    }
+
+    const { confirmation } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "confirmation",
+        message: `Type the project name (${chalk.bold(projectName)}) to confirm:`,
+      },
+    ]);
+    if (![projectName, sanitizedName].includes(confirmation.trim())) {
+      logger.warn("⚠️  Name did not match. Nothing was destroyed.");
+      return;
+    }
+
+    await destroyResources(plan);
+    logger.success("✅ Teardown completed.");
+  } catch (err) {
+    logger.failSpinner("plan", "❌ Could not inspect resources");
+    logger.error("❌ Destroy failed:", err.message);
+    if (global.verbose) console.error(err);
+    process.exit(1);
+  }
+}
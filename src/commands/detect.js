@@ -0,0 +1,73 @@
+// src/commands/detect.js
+import path from "path";
+import chalk from "chalk";
+import Logger from "../utils/logger.js";
+import { scoreFrameworks } from "../ai/detectFramework.js";
+import { loadManifest, MANIFEST_FILE } from "../utils/manifest.js";
+
+const logger = new Logger();
+
+const confidenceColors = { high: "green", medium: "yellow", low: "red" };
+
+function renderReport({ projectPath, pinned, selected, candidates }) {
+  logger.title("🔎 Framework detection");
+  logger.info("Project path:", projectPath);
+
+  if (!candidates.length) {
+    logger.warn("⚠️  No supported framework matched this project.");
+  } else {
+    logger.table(
+      candidates.map((c) => ({
+        "": c.id === selected ? chalk.green("➜") : "",
+        Framework: c.id,
+        Name: c.label,
+        Score: c.score,
+        Confidence: chalk[confidenceColors[c.confidence]](c.confidence),
+      }))
+    );
+
+    for (const c of candidates) {
+      logger.subtitle(`${c.label} (${c.id})`);
+      for (const s of c.signals) {
+        const weight = (s.weight ? `+${s.weight}` : "·").padStart(4);
+        console.log(`  ${chalk.dim(weight)}  ${s.type.padEnd(15)} ${s.detail}`);
+      }
+    }
+  }
+
+  logger.separator();
+  if (pinned) {
+    logger.info(`Pinned in ${MANIFEST_FILE}:`, pinned);
+    if (candidates[0] && candidates[0].id !== pinned) {
+      logger.warn(`⚠️  Detection now prefers ${candidates[0].id}; update or remove "framework" if that's right.`);
+    }
+  } else if (selected) {
+    logger.success(`✅ init/deploy would use ${selected}`);
+    logger.info("Override with --framework <id>; init pins the choice in", MANIFEST_FILE);
+  }
+}
+
+export default async function detectCommand(projectPath = ".", options) {
+  const resolvedPath = path.resolve(projectPath);
+
+  try {
+    const candidates = await scoreFrameworks(resolvedPath);
+    const { framework: pinned, exists } = await loadManifest(resolvedPath);
+    const report = {
+      projectPath: resolvedPath,
+      pinned: exists ? pinned : null,
+      selected: pinned || candidates[0]?.id || null,
+      candidates,
+    };
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      renderReport(report);
+    }
+  } catch (err) {
+    logger.error("❌ Detection failed:", err.message);
+    if (global.verbose) console.error(err);
+    process.exit(1);
+  }
+}
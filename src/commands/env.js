@@ -0,0 +1,179 @@
+// src/commands/env.js
+import path from "path";
+import inquirer from "inquirer";
+import {
+  SECRET_STORES,
+  deleteSecret,
+  isManagedSecret,
+  putSecret,
+  secretId,
+  secretStore,
+} from "../aws/secrets.js";
+import { loadManifest, saveManifestSetting } from "../utils/manifest.js";
+import { resolveDeployNames } from "../utils/project.js";
+import { maskSensitiveValue } from "../utils/env.js";
+import Logger from "../utils/logger.js";
+
+const logger = new Logger();
+
+const STORE_LABELS = { ssm: "SSM", secretsmanager: "Secrets Manager" };
+
+// Edits go under environments.<env>, so each env keeps its own values
+const envKey = (env, section, name) => ["environments", env, section, name];
+
+function checkName(name) {
+  if (!name) throw new Error("Variable name required");
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    throw new Error(`Invalid environment variable name "${name}"`);
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* 1. list                                                             */
+/* ------------------------------------------------------------------ */
+function listVariables(manifest, env) {
+  const rows = [
+    ...Object.entries(manifest.environment).map(([name, value]) => ({
+      Name: name,
+      Value: maskSensitiveValue(name, value),
+      Source: "mydeploy.yaml",
+    })),
+    // The value never leaves the store; show where it lives instead
+    ...Object.entries(manifest.secrets).map(([name, arn]) => ({
+      Name: name,
+      Value: "🔒 secret",
+      Source: `${STORE_LABELS[secretStore(arn)]} ${secretId(arn)}`,
+    })),
+    ...manifest.requiredEnv
+      .filter((name) => !(name in manifest.environment) && !(name in manifest.secrets))
+      .map((name) => ({ Name: name, Value: "-", Source: "⚠️  required, not set" })),
+  ].sort((a, b) => a.Name.localeCompare(b.Name));
+
+  if (!rows.length) {
+    logger.info(`No variables set for ${env}.`);
+    return;
+  }
+  logger.table(rows);
+}
+
+/* ------------------------------------------------------------------ */
+/* 2. set                                                              */
+/* ------------------------------------------------------------------ */
+async function setVariable(resolvedPath, names, name, value, options) {
+  const { manifest, repositoryName } = names;
+  const { env, secret, store, region } = options;
+
+  if (secret ? name in manifest.environment : name in manifest.secrets) {
+    const kind = secret ? "a plain variable" : "a secret";
+    throw new Error(`${name} is ${kind} in ${env}; run 'mydeploy env unset ${name} --env ${env}' first`);
+  }
+
+  if (!secret) {
+    if (value === undefined) throw new Error(`Value required: mydeploy env set ${name} <value>`);
+    if (global.dryRun) {
+      logger.dryRun(`Would set ${name} = ${maskSensitiveValue(name, value)} for ${env}`);
+      return false;
+    }
+    await saveManifestSetting(resolvedPath, envKey(env, "environment", name), value);
+    logger.success(`✅ Set ${name} = ${maskSensitiveValue(name, value)} for ${env}`);
+    return true;
+  }
+
+  if (!SECRET_STORES.includes(store)) {
+    throw new Error(`Unknown --store "${store}". Use one of: ${SECRET_STORES.join(", ")}`);
+  }
+  if (value === undefined) {
+    ({ value } = await inquirer.prompt([
+      { type: "password", name: "value", message: `Value for ${name}:`, mask: "*" },
+    ]));
+  }
+  if (!value) throw new Error("A secret can't be empty");
+  if (global.dryRun) {
+    logger.dryRun(`Would store ${name} in ${STORE_LABELS[store]} for ${env}`);
+    return false;
+  }
+
+  const previous = manifest.secrets[name];
+  const arn = await putSecret({ region, repositoryName, name, value, store });
+  await saveManifestSetting(resolvedPath, envKey(env, "secrets", name), arn);
+  logger.success(`✅ Stored ${name} in ${STORE_LABELS[store]} → ${secretId(arn)}`);
+  logger.info("The execution role is granted read access to it on the next deploy.");
+  // Switching stores leaves the old copy behind otherwise
+  if (previous && previous !== arn && isManagedSecret(previous, repositoryName)) {
+    await deleteSecret({ region, arn: previous });
+    logger.warn(`⚠️  Deploy ${env} soon: tasks started from the current revision can no longer read ${name}`);
+  }
+  return true;
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. unset                                                            */
+/* ------------------------------------------------------------------ */
+async function unsetVariable(resolvedPath, names, name, options) {
+  const { manifest, repositoryName } = names;
+  const { env, region } = options;
+  const arn = manifest.secrets[name];
+
+  if (!(name in manifest.environment) && !arn) {
+    logger.warn(`⚠️  ${name} is not set for ${env}`);
+    return false;
+  }
+  if (global.dryRun) {
+    logger.dryRun(`Would remove ${name} from ${env}${arn ? ` and delete ${secretId(arn)}` : ""}`);
+    return false;
+  }
+
+  // Top-level values apply to every env and aren't touched here
+  const section = arn ? "secrets" : "environment";
+  const file = await saveManifestSetting(resolvedPath, envKey(env, section, name), undefined);
+  if (!file) {
+    logger.warn(`⚠️  ${name} is set at the top level of ${path.basename(manifest.path)}; remove it there`);
+    return false;
+  }
+  if (arn && isManagedSecret(arn, repositoryName)) {
+    await deleteSecret({ region, arn });
+    logger.warn(`⚠️  Deploy ${env} soon: tasks started from the current revision can no longer read ${name}`);
+  }
+
+  const after = await loadManifest(resolvedPath, env);
+  if (name in after.environment || name in after.secrets) {
+    logger.warn(
+      `⚠️  ${name} is still set at the top level of ${path.basename(after.path)} for every environment`
+    );
+  } else {
+    logger.success(`✅ Removed ${name} from ${env}`);
+  }
+  return true;
+}
+
+/* ------------------------------------------------------------------ */
+/* MAIN                                                                */
+/* ------------------------------------------------------------------ */
+export default async function envCommand(action, name, value, options) {
+  const resolvedPath = path.resolve(options.path);
+  const { env } = options;
+
+  try {
+    const names = await resolveDeployNames(resolvedPath, { env });
+
+    if (action === "list") {
+      logger.title(`🔧 Environment of ${names.repositoryName} (${env})`);
+      listVariables(names.manifest, env);
+      return;
+    }
+    if (action !== "set" && action !== "unset") {
+      throw new Error(`Unknown action "${action}". Use set, unset or list.`);
+    }
+
+    checkName(name);
+    const changed =
+      action === "set"
+        ? await setVariable(resolvedPath, names, name, value, options)
+        : await unsetVariable(resolvedPath, names, name, options);
+    if (changed) logger.info(`Run 'mydeploy deploy --env ${env}' to apply it.`);
+  } catch (err) {
+    logger.error("❌ env failed:", err.message);
+    if (global.verbose) console.error(err);
+    process.exit(1);
+  }
+}
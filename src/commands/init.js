@@ -3,9 +3,94 @@
 import path from "path";
 import Logger from "../utils/logger.js";
 import { analyzeProject } from "../ai/analyzeProject.js";
+import { discoverServices, isMonorepo } from "../ai/discoverServices.js";
+import {
+  loadManifest,
+  writeStarterManifest,
+  saveManifestSetting,
+  saveRecommendations,
+  saveWorkspaceServices,
+} from "../utils/manifest.js";
+import { resolveDeployNames, selectServices } from "../utils/project.js";
+import { writeComposeFile } from "../utils/compose.js";
 
 const logger = new Logger();
 
+async function initProject(resolvedPath, options) {
+  const result = await analyzeProject(resolvedPath, {
+    useAI: options.ai !== false,
+    force: options.force,
+    ai: options.aiConfig,
+    maxRepairs: Number.isInteger(Number(options.repairAttempts))
+      ? Math.max(0, Number(options.repairAttempts))
+      : 2,
+    build: options.validateBuild,
+    framework: options.framework,
+    contextBudget: options.contextBudget,
+    cache: options.aiCache,
+  });
+  if (!result) return null;
+
+  const rec = result.recommendations;
+  const manifestPath = await writeStarterManifest(resolvedPath, {
+    port: result.port,
+    framework: result.framework,
+    ...(rec && {
+      cpu: rec.cpu,
+      memory: rec.memory,
+      healthCheck: rec.healthCheck,
+      requiredEnv: rec.env,
+    }),
+  });
+  if (manifestPath) {
+    logger.fileOperation("create", manifestPath);
+  } else {
+    // Pin the framework so later runs don't re-guess it
+    const updated = await saveManifestSetting(resolvedPath, "framework", result.framework);
+    // A regenerated Dockerfile (--force) brings its port and size along
+    const applied = rec && (await saveRecommendations(resolvedPath, rec, { overwrite: options.force }));
+    if (updated || applied) logger.fileOperation("update", updated || applied);
+  }
+
+  // Local run with the settings the ECS task will get
+  const { sanitizedName, manifest } = await resolveDeployNames(resolvedPath);
+  const compose = await writeComposeFile(resolvedPath, {
+    name: sanitizedName.replace(/^-+/, ""),
+    manifest,
+    force: options.force,
+  });
+  if (compose) logger.fileOperation(compose.action, compose.file);
+
+  if (rec) {
+    logger.subtitle("🤖 AI recommendations");
+    logger.table([
+      { Setting: "Port", Value: rec.port },
+      { Setting: "Fargate size", Value: `${rec.cpu} CPU / ${rec.memory} MiB` },
+      { Setting: "Health check", Value: rec.healthCheck?.path || "-" },
+      { Setting: "Required env", Value: rec.env.join(", ") || "-" },
+    ]);
+  }
+  return result;
+}
+
+// Services listed in the root mydeploy.yaml, plus any newly discovered ones
+async function resolveWorkspace(resolvedPath) {
+  const { services: listed } = await loadManifest(resolvedPath);
+  const discovered = await discoverServices(resolvedPath);
+  if (!listed.length && !(await isMonorepo(resolvedPath, discovered))) return null;
+
+  const names = new Set(listed.map((s) => s.name));
+  const added = discovered
+    .filter((d) => !listed.some((s) => s.path === d.path))
+    .map((d) => {
+      let name = d.name;
+      for (let i = 2; names.has(name); i++) name = `${d.name}-${i}`;
+      names.add(name);
+      return { name, path: d.path };
+    });
+  return [...listed, ...added];
+}
+
 export default async function initCommand(projectPath = ".", options) {
   const resolvedPath = path.resolve(projectPath);
 
@@ -14,8 +99,49 @@ export default async function initCommand(projectPath = ".", options) {
   logger.debug("Options:", options);
 
   try {
-    await analyzeProject(resolvedPath, options.ai !== false); 
-    logger.success("✅ Initialization completed.");
+    const services = await resolveWorkspace(resolvedPath);
+    if (!services) {
+      if (options.only) throw new Error("--only needs a monorepo root with several services");
+      if (await initProject(resolvedPath, options)) {
+        logger.success("✅ Initialization completed.");
+      }
+      return;
+    }
+
+    const selected = selectServices(services, options.only);
+    if (options.framework && selected.length > 1) {
+      throw new Error("--framework applies to a single service; combine it with --only <service>");
+    }
+    logger.info(`📚 Monorepo with ${services.length} service(s):`, services.map((s) => s.name).join(", "));
+
+    // Written first: each service finds its root prefix through this file
+    const saved = await saveWorkspaceServices(resolvedPath, services);
+    if (saved) logger.fileOperation(saved.action, saved.file);
+
+    const results = [];
+    for (const svc of selected) {
+      logger.subtitle(`📦 ${svc.name} (${svc.path})`);
+      const result = await initProject(path.join(resolvedPath, svc.path), options);
+      results.push({ svc, result });
+    }
+
+    logger.separator();
+    logger.table(
+      results.map(({ svc, result }) => ({
+        Service: svc.name,
+        Path: svc.path,
+        Framework: result?.framework || "-",
+        Port: result?.port || "-",
+        Status: result ? "✅ ready" : "❌ skipped",
+      }))
+    );
+
+    const failed = results.filter((r) => !r.result).length;
+    if (failed) {
+      logger.warn(`⚠️  ${failed} service(s) could not be initialized.`);
+    } else {
+      logger.success("✅ Initialization completed.");
+    }
   } catch (error) {
     logger.error("❌ Initialization failed:", error.message);
     if (global.verbose) console.error(error);
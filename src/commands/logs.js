@@ -0,0 +1,40 @@
+// src/commands/logs.js
+import path from "path";
+import { tailLogs, parseSince } from "../aws/logs.js";
+import { resolveDeployNames } from "../utils/project.js";
+import Logger from "../utils/logger.js";
+
+const logger = new Logger();
+
+export default async function logsCommand(projectPath = ".", options) {
+  const resolvedPath = path.resolve(projectPath);
+  const { env, region, cluster, service, follow, since, filter, task } = options;
+
+  const { clusterName, serviceName, containerName, logGroupName } =
+    await resolveDeployNames(resolvedPath, { env, cluster, service });
+
+  logger.title(`📜 Logs for ${serviceName} (${env})`);
+  logger.info("Log group:", logGroupName);
+  if (task) logger.info("Task:", task);
+  if (filter) logger.info("Filter:", filter);
+  logger.debug("Resolved names:", { clusterName, serviceName, containerName });
+
+  try {
+    const count = await tailLogs({
+      region,
+      clusterName,
+      serviceName,
+      logGroupName,
+      streamPrefix: `ecs/${containerName}`,
+      startTime: parseSince(since),
+      filterPattern: filter,
+      taskId: task ? task.split("/").pop() : undefined,
+      follow,
+    });
+    if (!count) logger.warn(`⚠️  No log events since ${since}`);
+  } catch (err) {
+    logger.error("❌ Failed to fetch logs:", err.message);
+    if (global.verbose) console.error(err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,109 @@
+// src/commands/rollback.js
+import path from "path";
+import inquirer from "inquirer";
+import { ECSClient } from "@aws-sdk/client-ecs";
+import {
+  getCurrentTaskDefinition,
+  describeRevision,
+  listRevisions,
+  rollbackService,
+} from "../aws/rollback.js";
+import { resolveDeployNames } from "../utils/project.js";
+import Logger from "../utils/logger.js";
+
+const logger = new Logger();
+
+function pickTarget(revisions, current, { to, steps }) {
+  if (to !== undefined) {
+    const revision = Number(String(to).split(":").pop());
+    if (!Number.isInteger(revision) || revision < 1) {
+      throw new Error(`Invalid --to revision "${to}"`);
+    }
+    return revisions.find((r) => r.revision === revision) || { revision };
+  }
+
+  const n = steps === undefined ? 1 : Number(steps);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error(`Invalid --steps value "${steps}"`);
+  }
+  const older = revisions.filter((r) => r.revision < current.revision);
+  if (older.length < n) {
+    throw new Error(
+      `Only ${older.length} earlier revision(s) of ${current.family} are available`
+    );
+  }
+  return older[n - 1];
+}
+
+export default async function rollbackCommand(projectPath = ".", options) {
+  const resolvedPath = path.resolve(projectPath);
+  const { env, region, cluster, service, to, steps, yes } = options;
+
+  const { clusterName, serviceName } = await resolveDeployNames(resolvedPath, {
+    env,
+    cluster,
+    service,
+  });
+
+  logger.title(`⏪ Rollback ${serviceName} (${env})`);
+
+  try {
+    const ecs = new ECSClient({ region });
+    const current = await getCurrentTaskDefinition(ecs, clusterName, serviceName);
+    const limit = Math.max(10, (Number(steps) || 0) + 1);
+    const revisions = await listRevisions(ecs, current.family, limit);
+
+    let target = pickTarget(revisions, current, { to, steps });
+    if (!target.arn) {
+      target = await describeRevision(ecs, `${current.family}:${target.revision}`);
+    }
+    if (target.revision === current.revision) {
+      logger.warn(`⚠️  ${current.family}:${current.revision} is already deployed`);
+      return;
+    }
+
+    logger.subtitle(`Revisions of ${current.family}`);
+    logger.table(
+      revisions.map((r) => ({
+        " ": r.revision === current.revision ? "→" : r.revision === target.revision ? "⏪" : "",
+        Revision: r.revision,
+        Image: r.images.join(", "),
+        Registered: r.registeredAt ? new Date(r.registeredAt).toLocaleString() : "-",
+      }))
+    );
+    logger.info("Current:", `${current.family}:${current.revision}`);
+    logger.info("Target:", `${current.family}:${target.revision}`, target.images.join(", "));
+
+    if (global.dryRun) {
+      logger.dryRun(`Would update ${serviceName} to ${current.family}:${target.revision}`);
+      return;
+    }
+
+    if (to === undefined && steps === undefined && !yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirm",
+          message: `Roll back ${serviceName} to revision ${target.revision}?`,
+          default: false,
+        },
+      ]);
+      if (!confirm) {
+        logger.info("Rollback cancelled.");
+        return;
+      }
+    }
+
+    await rollbackService({
+      region,
+      clusterName,
+      serviceName,
+      taskDefinitionArn: target.arn,
+    });
+    logger.success(`✅ Rolled back to ${current.family}:${target.revision}`);
+  } catch (err) {
+    logger.error("❌ Rollback failed:", err.message);
+    if (global.verbose) console.error(err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,105 @@
+// src/commands/status.js
+import path from "path";
+import chalk from "chalk";
+import { getServiceStatus } from "../aws/status.js";
+import { resolveDeployNames } from "../utils/project.js";
+import Logger from "../utils/logger.js";
+
+const logger = new Logger();
+
+const fmtTime = (d) => (d ? new Date(d).toLocaleString() : "-");
+
+function colorStatus(status) {
+  if (!status) return "-";
+  if (["RUNNING", "HEALTHY", "ACTIVE", "PRIMARY", "COMPLETED"].includes(status))
+    return chalk.green(status);
+  if (["STOPPED", "UNHEALTHY", "FAILED", "INACTIVE"].includes(status))
+    return chalk.red(status);
+  return chalk.yellow(status);
+}
+
+function renderStatus(status) {
+  logger.title(`📊 ${status.service} @ ${status.cluster}`);
+  logger.info(
+    "Service:",
+    `${colorStatus(status.status)}  desired ${status.desiredCount} · running ${status.runningCount} · pending ${status.pendingCount}`
+  );
+  logger.info("Task definition:", status.taskDefinition);
+
+  logger.subtitle("Deployments");
+  logger.table(
+    status.deployments.map((d) => ({
+      Status: d.status,
+      Rollout: d.rolloutState || "-",
+      Desired: d.desiredCount,
+      Running: d.runningCount,
+      Pending: d.pendingCount,
+      Failed: d.failedTasks,
+      "Task Def": d.taskDefinition,
+      Image: d.images.join(", "),
+    }))
+  );
+  status.deployments
+    .filter((d) => d.rolloutStateReason)
+    .forEach((d) => console.log(chalk.dim(`  ${d.status}: ${d.rolloutStateReason}`)));
+
+  logger.subtitle("Tasks");
+  logger.table(
+    status.tasks.map((t) => ({
+      Task: t.taskId,
+      Revision: t.taskDefinition.split(":").pop(),
+      Status: t.lastStatus,
+      Health: t.healthStatus || "-",
+      Started: fmtTime(t.startedAt),
+      "Stop Reason": t.stoppedReason || "-",
+    }))
+  );
+
+  logger.subtitle("Recent events");
+  if (!status.events.length) console.log(chalk.dim("  (none)"));
+  status.events.forEach((ev) =>
+    console.log(`  ${chalk.dim(fmtTime(ev.createdAt))}  ${ev.message}`)
+  );
+}
+
+export default async function statusCommand(projectPath = ".", options) {
+  const resolvedPath = path.resolve(projectPath);
+  const { env, region, cluster, service, watch, json } = options;
+  const interval = Math.max(Number(options.interval) || 10, 2) * 1000;
+
+  try {
+    const { clusterName, serviceName } = await resolveDeployNames(resolvedPath, {
+      env,
+      cluster,
+      service,
+    });
+
+    for (;;) {
+      const status = await getServiceStatus({ region, clusterName, serviceName });
+
+      if (json) {
+        // One JSON document per line so --watch output can be streamed
+        console.log(JSON.stringify(status, null, watch ? 0 : 2));
+      } else {
+        if (watch) console.clear();
+        renderStatus(status);
+        if (watch) {
+          console.log(chalk.dim(`\nRefreshing every ${interval / 1000}s — Ctrl+C to exit`));
+        }
+      }
+
+      if (!watch) return;
+      await new Promise((r) => setTimeout(r, interval));
+    }
+  } catch (err) {
+    // Scripts reading --json get a JSON document on stdout either way
+    if (json) {
+      console.log(JSON.stringify({ error: err.message }, null, watch ? 0 : 2));
+      if (global.verbose) console.error(err);
+      process.exit(1);
+    }
+    logger.error("❌ Failed to fetch service status:", err.message);
+    if (global.verbose) console.error(err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,39 @@
+// src/utils/compose.js
+import path from "path";
+import fs from "fs-extra";
+import ejs from "ejs";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const COMPOSE_FILE = "docker-compose.yml";
+
+// "$" would be interpolated by compose; "$$" is its literal form
+const escapeDollar = (value) => String(value).replace(/\$/g, "$$$$");
+
+// Same port, variable names and health check as the ECS task definition.
+// Manifest values become overridable defaults; required ones come from
+// the shell or a local .env, and so do secrets.
+export async function renderCompose({ name, manifest }) {
+  const template = path.join(__dirname, "../templates", `${COMPOSE_FILE}.ejs`);
+  const environment = Object.fromEntries(
+    Object.entries(manifest.environment).map(([key, value]) => [key, escapeDollar(value)])
+  );
+  return ejs.renderFile(template, {
+    name,
+    port: manifest.port,
+    environment,
+    requiredEnv: [...new Set([...manifest.requiredEnv, ...Object.keys(manifest.secrets)])].filter(
+      (key) => !(key in environment)
+    ),
+    healthCheck: manifest.healthCheck,
+  });
+}
+
+// Returns { file, action }, or null when one exists and force is off
+export async function writeComposeFile(projectPath, { name, manifest, force = false }) {
+  const file = path.join(projectPath, COMPOSE_FILE);
+  const exists = await fs.pathExists(file);
+  if (exists && !force) return null;
+  await fs.writeFile(file, await renderCompose({ name, manifest }));
+  return { file, action: exists ? "update" : "create" };
+}
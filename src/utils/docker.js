@@ -1,19 +1,25 @@
 import { execa } from "execa";
 import path from "path";
+import os from "os";
 import fs from "fs-extra";
 import Logger from "../utils/logger.js";
 const logger = new Logger();
 
-export async function buildDockerImage(projectPath, imageName) {
+// Throws on failure so callers building several images can carry on with
+// the rest; `spinner: false` keeps parallel builds from fighting over one line.
+export async function buildDockerImage(projectPath, imageName, { spinner = true } = {}) {
   const dockerfilePath = path.join(projectPath, "Dockerfile");
 
   if (!fs.existsSync(dockerfilePath)) {
-    logger.error("❌ Dockerfile not found. Run `mydeploy init` first.");
-    process.exit(1);
+    throw new Error(`Dockerfile not found in ${projectPath}. Run \`mydeploy init\` first.`);
   }
 
-  const spinnerId = "dockerBuild";
-  logger.startSpinner(spinnerId, `Building Docker image: ${imageName}...`);
+  const spinnerId = `dockerBuild:${imageName}`;
+  if (spinner) {
+    logger.startSpinner(spinnerId, `Building Docker image: ${imageName}...`);
+  } else {
+    logger.info(`🐳 Building ${imageName}…`);
+  }
 
   try {
     await execa("docker", ["build", "-t", imageName, "."], {
@@ -22,18 +28,64 @@ export async function buildDockerImage(projectPath, imageName) {
       stderr: global.verbose ? "inherit" : "pipe",
     });
 
-    logger.succeedSpinner(spinnerId, `✅ Image built: ${imageName}`);
+    if (spinner) logger.succeedSpinner(spinnerId, `✅ Image built: ${imageName}`);
+    else logger.success(`✅ Image built: ${imageName}`);
     return imageName;
   } catch (error) {
-  logger.failSpinner(spinnerId, "❌ Failed to build Docker image");
+    if (spinner) logger.failSpinner(spinnerId, "❌ Failed to build Docker image");
+    else logger.error(`❌ Failed to build ${imageName}`);
 
-  if (error.stderr) {
-    logger.error("Docker Error Output:\n" + error.stderr);
-  } else {
-    logger.error("Error:\n" + error.message);
+    if (error.stderr) {
+      logger.error("Docker Error Output:\n" + error.stderr);
+    } else {
+      logger.error("Error:\n" + error.message);
+    }
+    throw new Error(`Docker build failed for ${imageName}`);
+  }
+}
+
+const TAG_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/;
+
+// Git short SHA, plus a UTC timestamp when the tree is dirty (or not a
+// git checkout), so every build gets its own tag. An override wins.
+export async function resolveImageTag(projectPath, override) {
+  if (override) {
+    if (!TAG_PATTERN.test(override)) {
+      throw new Error(`Invalid image tag "${override}"`);
+    }
+    return override;
   }
 
-  process.exit(1);
+  const stamp = new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  try {
+    const { stdout: sha } = await execa("git", ["rev-parse", "--short", "HEAD"], {
+      cwd: projectPath,
+    });
+    const { stdout: dirty } = await execa("git", ["status", "--porcelain"], {
+      cwd: projectPath,
+    });
+    return dirty.trim() ? `${sha.trim()}-${stamp}` : sha.trim();
+  } catch {
+    logger.debug("Not a git repository; tagging image with timestamp only");
+    return stamp;
+  }
 }
 
+// Trial build of a candidate Dockerfile against the project context.
+// Returns null on success, or the tail of the build output on failure.
+export async function tryDockerBuild(projectPath, content) {
+  const tmpFile = path.join(os.tmpdir(), `mydeploy-${process.pid}-${Date.now()}.Dockerfile`);
+  await fs.writeFile(tmpFile, content);
+  try {
+    await execa("docker", ["build", "-q", "-f", tmpFile, "."], { cwd: projectPath });
+    return null;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      logger.warn("⚠️  Docker not found; skipping trial build");
+      return null;
+    }
+    return (error.stderr || error.message).trim().split("\n").slice(-20).join("\n");
+  } finally {
+    await fs.remove(tmpFile);
+  }
 }
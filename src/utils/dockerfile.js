@@ -0,0 +1,150 @@
+// src/utils/dockerfile.js
+import path from "path";
+import fs from "fs-extra";
+
+const INSTRUCTIONS = new Set([
+  "FROM", "RUN", "CMD", "LABEL", "MAINTAINER", "EXPOSE", "ENV", "ADD", "COPY",
+  "ENTRYPOINT", "VOLUME", "USER", "WORKDIR", "ARG", "ONBUILD", "STOPSIGNAL",
+  "HEALTHCHECK", "SHELL",
+]);
+
+/* ------------------------------------------------------------------ */
+/* 1. Parse into instructions, joining "\" continuations               */
+/* ------------------------------------------------------------------ */
+export function parseDockerfile(text) {
+  const instructions = [];
+  let buffer = "";
+  let startLine = 0;
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!buffer && (!line || line.startsWith("#"))) return;
+    if (buffer && line.startsWith("#")) return; // comments inside continuations
+    if (!buffer) startLine = i + 1;
+
+    if (line.endsWith("\\")) {
+      buffer += line.slice(0, -1) + " ";
+      return;
+    }
+    buffer += line;
+
+    const match = buffer.match(/^(\S+)\s*(.*)$/);
+    instructions.push({
+      instruction: match[1].toUpperCase(),
+      args: match[2].trim(),
+      line: startLine,
+    });
+    buffer = "";
+  });
+
+  if (buffer.trim()) {
+    const match = buffer.trim().match(/^(\S+)\s*(.*)$/);
+    instructions.push({ instruction: match[1].toUpperCase(), args: match[2], line: startLine });
+  }
+  return instructions;
+}
+
+/* ------------------------------------------------------------------ */
+/* 2. Helpers                                                          */
+/* ------------------------------------------------------------------ */
+function splitArgs(args) {
+  if (args.startsWith("[")) {
+    try {
+      return JSON.parse(args);
+    } catch {
+      // fall through to shell form
+    }
+  }
+  return args.split(/\s+/).filter(Boolean);
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]")}$`);
+}
+
+async function sourceExists(projectPath, source) {
+  const clean = source.replace(/^\.\//, "").replace(/\/$/, "");
+  if (!clean || clean === ".") return true;
+  if (!/[*?]/.test(clean)) return fs.pathExists(path.join(projectPath, clean));
+
+  const dir = path.join(projectPath, path.dirname(clean));
+  if (/[*?]/.test(path.dirname(clean)) || !(await fs.pathExists(dir))) return false;
+  const re = globToRegExp(path.basename(clean));
+  return (await fs.readdir(dir)).some((name) => re.test(name));
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Rule set                                                         */
+/* ------------------------------------------------------------------ */
+export async function lintDockerfile(text, projectPath) {
+  const problems = [];
+  const report = (severity, rule, line, message) =>
+    problems.push({ severity, rule, line, message });
+
+  const instructions = parseDockerfile(text);
+  const stages = new Set();
+  let sawFrom = false;
+  let lastUser = null;
+
+  for (const { instruction, args, line } of instructions) {
+    if (!INSTRUCTIONS.has(instruction)) {
+      report("error", "unknown-instruction", line, `Unknown instruction "${instruction}"`);
+      continue;
+    }
+
+    if (!sawFrom && !["FROM", "ARG"].includes(instruction)) {
+      report("error", "missing-from", line, `${instruction} appears before the first FROM`);
+    }
+
+    if (instruction === "FROM") {
+      sawFrom = true;
+      lastUser = null; // USER does not carry across stages
+      const parts = args.split(/\s+/).filter((p) => !p.startsWith("--"));
+      const image = parts[0] || "";
+      if (/^as$/i.test(parts[1] || "") && parts[2]) stages.add(parts[2].toLowerCase());
+
+      const isStage = stages.has(image.toLowerCase()) && !/^as$/i.test(parts[1] || "");
+      const usesArg = image.includes("$");
+      if (!isStage && !usesArg && image !== "scratch" && !image.includes("@sha256:")) {
+        const tag = image.split("/").pop().split(":")[1];
+        if (!tag || tag === "latest") {
+          report("warning", "latest-base", line, `Base image "${image}" is not pinned to a version`);
+        }
+      }
+    }
+
+    if (instruction === "USER") lastUser = args.split(":")[0].trim();
+
+    if ((instruction === "COPY" || instruction === "ADD") && projectPath) {
+      const parts = splitArgs(args);
+      if (parts.some((p) => p.startsWith("--from"))) continue;
+      const sources = parts.filter((p) => !p.startsWith("--")).slice(0, -1);
+      for (const source of sources) {
+        if (/^https?:\/\//.test(source) || source.includes("$")) continue;
+        // "COPY a lock* ./" is fine when the glob matches nothing, as long as
+        // something else is copied
+        if (/[*?]/.test(source) && sources.length > 1) continue;
+        if (!(await sourceExists(projectPath, source))) {
+          report("error", "copy-missing", line, `${instruction} source "${source}" does not exist in the project`);
+        }
+      }
+    }
+  }
+
+  if (!sawFrom) report("error", "missing-from", 1, "No FROM instruction");
+  if (!instructions.some((i) => i.instruction === "EXPOSE")) {
+    report("warning", "no-expose", null, "No EXPOSE instruction; the container port is unknown");
+  }
+  if (sawFrom && (!lastUser || ["root", "0"].includes(lastUser))) {
+    report("warning", "root-user", null, "Final stage runs as root; add a non-root USER");
+  }
+
+  return problems;
+}
+
+export function formatProblems(problems) {
+  return problems
+    .map((p) => `- [${p.severity}] ${p.rule}${p.line ? ` (line ${p.line})` : ""}: ${p.message}`)
+    .join("\n");
+}
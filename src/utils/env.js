@@ -19,3 +19,19 @@ export async function writeEnvKey(key, value) {
 
   await fs.writeFile(ENV_PATH, updatedContent, 'utf8');
 }
+
+// Values whose key looks like a credential keep only their first and last
+// four characters
+export function maskSensitiveValue(key, value) {
+  const sensitiveKeys = ['key', 'secret', 'token', 'password', 'pass'];
+  const lowerKey = key.toLowerCase();
+  
+  if (sensitiveKeys.some(sensitive => lowerKey.includes(sensitive))) {
+    if (typeof value === 'string' && value.length > 8) {
+      return value.substring(0, 4) + '*'.repeat(value.length - 8) + value.substring(value.length - 4);
+    }
+    return '*'.repeat(8);
+  }
+  
+  return value;
+}
@@ -0,0 +1,81 @@
+// src/utils/ignore.js
+import path from "path";
+import fs from "fs-extra";
+
+// Skipped no matter what the ignore files say
+const ALWAYS_IGNORED = [".git", "node_modules", "__pycache__", ".venv", "venv", ".mydeploy"];
+
+/* ------------------------------------------------------------------ */
+/* 1. Pattern → RegExp (gitignore flavour, good enough for both files) */
+/* ------------------------------------------------------------------ */
+function patternToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "*" && pattern[i + 1] === "*") {
+      // "**/" matches zero or more directories, a trailing "**" everything
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (c === "*") {
+      source += "[^/]*";
+    } else if (c === "?") {
+      source += "[^/]";
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return source;
+}
+
+function parseLine(line) {
+  let text = line.trim();
+  if (!text || text.startsWith("#")) return null;
+
+  const negate = text.startsWith("!");
+  if (negate) text = text.slice(1);
+  const dirOnly = text.endsWith("/");
+  text = text.replace(/\/+$/, "");
+  // No inner slash → match the name at any depth
+  const anchored = text.includes("/");
+  text = text.replace(/^\//, "");
+
+  const prefix = `^${anchored ? "" : "(?:.*/)?"}${patternToRegExp(text)}`;
+  return {
+    regex: new RegExp(`${prefix}(?:/.*)?$`), // the path itself or anything below it
+    childRegex: new RegExp(`${prefix}/.*$`), // only things below it
+    negate,
+    dirOnly,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* 2. Load .gitignore + .dockerignore from the project root            */
+/* ------------------------------------------------------------------ */
+export async function loadIgnoreRules(projectPath, files = [".gitignore", ".dockerignore"]) {
+  const rules = ALWAYS_IGNORED.map((name) => parseLine(name));
+  for (const file of files) {
+    const full = path.join(projectPath, file);
+    if (!(await fs.pathExists(full))) continue;
+    for (const line of (await fs.readFile(full, "utf8")).split(/\r?\n/)) {
+      const rule = parseLine(line);
+      if (rule) rules.push(rule);
+    }
+  }
+
+  // Last matching rule wins, as in git
+  return (relPath, isDir = false) => {
+    const rel = relPath.split(path.sep).join("/");
+    let ignored = false;
+    for (const rule of rules) {
+      // "build/" must not match a plain file called build
+      const regex = rule.dirOnly && !isDir ? rule.childRegex : rule.regex;
+      if (regex.test(rel)) ignored = !rule.negate;
+    }
+    return ignored;
+  };
+}
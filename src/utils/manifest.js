@@ -0,0 +1,636 @@
+// src/utils/manifest.js
+import path from "path";
+import fs from "fs-extra";
+import YAML from "yaml";
+
+export const MANIFEST_FILE = "mydeploy.yaml";
+
+const DEFAULTS = {
+  framework: null,
+  port: 3000,
+  cpu: 256,
+  memory: 512,
+  desiredCount: 1,
+  environment: {},
+  secrets: {},
+  requiredEnv: [],
+  healthCheck: null,
+  deployment: null,
+  loadBalancer: null,
+  network: null,
+  ingress: null,
+  iam: null,
+};
+
+// Valid Fargate memory (MiB) for each CPU size: [min, max, step]
+const FARGATE_MEMORY = {
+  256: [512, 2048, null],
+  512: [1024, 4096, 1024],
+  1024: [2048, 8192, 1024],
+  2048: [4096, 16384, 1024],
+  4096: [8192, 30720, 1024],
+  8192: [16384, 61440, 4096],
+  16384: [32768, 122880, 8192],
+};
+
+/* ------------------------------------------------------------------ */
+/* 1. Merge helpers                                                    */
+/* ------------------------------------------------------------------ */
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function deepMerge(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    out[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? deepMerge(base[key], value)
+        : value;
+  }
+  return out;
+}
+
+/* ------------------------------------------------------------------ */
+/* 2. Validation                                                       */
+/* ------------------------------------------------------------------ */
+export function isValidFargateSize(cpu, memory) {
+  const range = FARGATE_MEMORY[cpu];
+  if (!range) return false;
+  const [min, max, step] = range;
+  if (memory < min || memory > max) return false;
+  if (step === null) return [512, 1024, 2048].includes(memory);
+  return (memory - min) % step === 0;
+}
+
+function validate(settings, env) {
+  const where = `${MANIFEST_FILE} (env: ${env})`;
+  const int = (key, min, max) => {
+    const n = Number(settings[key]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      throw new Error(`${where}: "${key}" must be an integer between ${min} and ${max}`);
+    }
+    settings[key] = n;
+  };
+
+  if (settings.framework !== null && typeof settings.framework !== "string") {
+    throw new Error(`${where}: "framework" must be a framework id such as node-express`);
+  }
+
+  int("port", 1, 65535);
+  int("cpu", 256, 16384);
+  int("memory", 512, 122880);
+  int("desiredCount", 0, 1000);
+
+  if (!isValidFargateSize(settings.cpu, settings.memory)) {
+    throw new Error(
+      `${where}: cpu ${settings.cpu} / memory ${settings.memory} is not a valid Fargate size`
+    );
+  }
+
+  if (!isPlainObject(settings.environment)) {
+    throw new Error(`${where}: "environment" must be a map of NAME: value`);
+  }
+  for (const [name, value] of Object.entries(settings.environment)) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`${where}: invalid environment variable name "${name}"`);
+    }
+    if (isPlainObject(value) || Array.isArray(value)) {
+      throw new Error(`${where}: environment.${name} must be a scalar value`);
+    }
+    settings.environment[name] = value === null ? "" : String(value);
+  }
+
+  settings.secrets = normalizeSecrets(settings.secrets, settings.environment, where);
+
+  if (
+    !Array.isArray(settings.requiredEnv) ||
+    settings.requiredEnv.some((name) => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name))
+  ) {
+    throw new Error(`${where}: "requiredEnv" must be a list of environment variable names`);
+  }
+
+  settings.healthCheck = normalizeHealthCheck(settings.healthCheck, where);
+  settings.loadBalancer = normalizeLoadBalancer(settings.loadBalancer, where);
+  settings.deployment = normalizeDeployment(settings.deployment, settings, where);
+  settings.network = normalizeNetwork(settings.network, where);
+  settings.ingress = normalizeIngress(settings.ingress, where);
+  settings.iam = normalizeIam(settings.iam, where);
+  return settings;
+}
+
+// Container health check; ECS's own limits, with the starter's values as defaults
+function normalizeHealthCheck(hc, where) {
+  if (!hc) return null;
+  if (!isPlainObject(hc) || !hc.command) {
+    throw new Error(`${where}: "healthCheck.command" is required`);
+  }
+  if (typeof hc.command === "string") {
+    hc.command = ["CMD-SHELL", hc.command];
+  }
+  if (!Array.isArray(hc.command) || !["CMD", "CMD-SHELL"].includes(hc.command[0]) || hc.command.length < 2) {
+    throw new Error(`${where}: "healthCheck.command" must be a shell command or ["CMD", …] list`);
+  }
+  if (hc.path !== undefined && (typeof hc.path !== "string" || !hc.path.startsWith("/"))) {
+    throw new Error(`${where}: "healthCheck.path" must start with /`);
+  }
+  const limits = { interval: [5, 300, 30], timeout: [2, 120, 5], retries: [1, 10, 3], startPeriod: [0, 300, 10] };
+  for (const [key, [min, max, fallback]] of Object.entries(limits)) {
+    const n = Number(hc[key] ?? fallback);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      throw new Error(`${where}: "healthCheck.${key}" must be an integer between ${min} and ${max}`);
+    }
+    hc[key] = n;
+  }
+  return hc;
+}
+
+// How ECS replaces tasks. The circuit breaker stops a rollout whose tasks
+// keep failing and, with rollback, returns to the last working revision.
+function normalizeDeployment(deployment, settings, where) {
+  const out = {
+    minHealthyPercent: 100,
+    maxPercent: 200,
+    circuitBreaker: true,
+    rollback: true,
+    // Seconds before failed ALB health checks count. Unused without a load
+    // balancer: a container check's startPeriod already covers boot.
+    healthCheckGracePeriod: settings.loadBalancer ? 60 : 0,
+  };
+  if (deployment === null || deployment === undefined) return out;
+  if (!isPlainObject(deployment)) {
+    throw new Error(`${where}: "deployment" must be a mapping`);
+  }
+  const unknown = Object.keys(deployment).filter((key) => !(key in out));
+  if (unknown.length) {
+    throw new Error(`${where}: unknown deployment setting "${unknown[0]}"`);
+  }
+  Object.assign(out, deployment);
+  // Turning the breaker off turns its rollback off too, unless asked for
+  if (deployment.circuitBreaker === false && deployment.rollback === undefined) out.rollback = false;
+
+  const int = (key, min, max) => {
+    const n = Number(out[key]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      throw new Error(`${where}: "deployment.${key}" must be an integer between ${min} and ${max}`);
+    }
+    out[key] = n;
+  };
+  int("minHealthyPercent", 0, 100);
+  int("maxPercent", 100, 200);
+  int("healthCheckGracePeriod", 0, 7200);
+  if (out.minHealthyPercent === 100 && out.maxPercent === 100) {
+    throw new Error(`${where}: deployment.minHealthyPercent and maxPercent can't both be 100; no task could be replaced`);
+  }
+  for (const key of ["circuitBreaker", "rollback"]) {
+    if (typeof out[key] !== "boolean") {
+      throw new Error(`${where}: "deployment.${key}" must be true or false`);
+    }
+  }
+  if (out.rollback && !out.circuitBreaker) {
+    throw new Error(`${where}: "deployment.rollback" needs circuitBreaker: true`);
+  }
+  return out;
+}
+
+// loadBalancer: true, or a mapping with certificateArn / healthCheckPath / internal
+function normalizeLoadBalancer(lb, where) {
+  if (lb === null || lb === undefined || lb === false) return null;
+  if (lb === true) lb = {};
+  if (!isPlainObject(lb)) {
+    throw new Error(`${where}: "loadBalancer" must be true or a mapping`);
+  }
+  const { certificateArn = null, healthCheckPath = null, internal = false } = lb;
+  if (certificateArn !== null && !/^arn:aws[\w-]*:acm:[\w-]+:\d{12}:certificate\/[\w-]+$/.test(certificateArn)) {
+    throw new Error(`${where}: "loadBalancer.certificateArn" must be an ACM certificate ARN`);
+  }
+  if (healthCheckPath !== null && (typeof healthCheckPath !== "string" || !healthCheckPath.startsWith("/"))) {
+    throw new Error(`${where}: "loadBalancer.healthCheckPath" must start with /`);
+  }
+  if (typeof internal !== "boolean") {
+    throw new Error(`${where}: "loadBalancer.internal" must be true or false`);
+  }
+  return { certificateArn, healthCheckPath, internal };
+}
+
+// network: pick the VPC and subnets by ID or by tags (not both); "private"
+// runs tasks without a public IP, "createVpc" builds one when none is found
+function normalizeNetwork(network, where) {
+  const out = {
+    vpcId: null,
+    vpcTags: null,
+    subnetIds: null,
+    subnetTags: null,
+    private: false,
+    createVpc: false,
+  };
+  if (network === null || network === undefined) return out;
+  if (!isPlainObject(network)) {
+    throw new Error(`${where}: "network" must be a mapping`);
+  }
+  const unknown = Object.keys(network).filter((key) => !(key in out));
+  if (unknown.length) {
+    throw new Error(`${where}: unknown network setting "${unknown[0]}"`);
+  }
+  const { vpcId = null, vpcTags = null, subnetIds = null, subnetTags = null } = network;
+
+  if (vpcId !== null && !/^vpc-[0-9a-f]+$/.test(vpcId)) {
+    throw new Error(`${where}: "network.vpcId" must look like vpc-0123abcd`);
+  }
+  if (
+    subnetIds !== null &&
+    (!Array.isArray(subnetIds) || !subnetIds.length || subnetIds.some((id) => !/^subnet-[0-9a-f]+$/.test(id)))
+  ) {
+    throw new Error(`${where}: "network.subnetIds" must be a list like [subnet-0123abcd]`);
+  }
+  if (vpcId && vpcTags) {
+    throw new Error(`${where}: set either "network.vpcId" or "network.vpcTags", not both`);
+  }
+  if (subnetIds && subnetTags) {
+    throw new Error(`${where}: set either "network.subnetIds" or "network.subnetTags", not both`);
+  }
+  for (const key of ["private", "createVpc"]) {
+    if (network[key] !== undefined && typeof network[key] !== "boolean") {
+      throw new Error(`${where}: "network.${key}" must be true or false`);
+    }
+  }
+
+  return {
+    vpcId,
+    vpcTags: normalizeTags(vpcTags, "network.vpcTags", where),
+    subnetIds,
+    subnetTags: normalizeTags(subnetTags, "network.subnetTags", where),
+    private: network.private ?? false,
+    createVpc: network.createVpc ?? false,
+  };
+}
+
+const CIDR_V4 = /^(\d{1,3}\.){3}\d{1,3}\/(\d|[12]\d|3[0-2])$/;
+const CIDR_V6 = /^[0-9a-f:]+\/(\d|[1-9]\d|1[01]\d|12[0-8])$/i;
+
+// ingress: who may reach the container port. `cidrs` defaults to
+// 0.0.0.0/0 only when no security group (or load balancer) is the source.
+function normalizeIngress(ingress, where) {
+  if (ingress === null || ingress === undefined) return { cidrs: null, securityGroups: [] };
+  if (!isPlainObject(ingress)) {
+    throw new Error(`${where}: "ingress" must be a mapping`);
+  }
+  const { cidrs = null, securityGroups = [] } = ingress;
+  if (
+    cidrs !== null &&
+    (!Array.isArray(cidrs) || cidrs.some((c) => !CIDR_V4.test(c) && !CIDR_V6.test(c)))
+  ) {
+    throw new Error(`${where}: "ingress.cidrs" must be a list like [10.0.0.0/8, 203.0.113.7/32]`);
+  }
+  if (!Array.isArray(securityGroups) || securityGroups.some((id) => !/^sg-[0-9a-f]+$/.test(id))) {
+    throw new Error(`${where}: "ingress.securityGroups" must be a list like [sg-0123abcd]`);
+  }
+  return { cidrs, securityGroups };
+}
+
+// iam: what the project's task role may do. Inline policies are a list of
+// statements (or a full policy document) keyed by policy name.
+function normalizeIam(iam, where) {
+  if (iam === null || iam === undefined) return { managedPolicies: [], policies: {} };
+  if (!isPlainObject(iam)) {
+    throw new Error(`${where}: "iam" must be a mapping`);
+  }
+  const { managedPolicies = [], policies = {} } = iam;
+  if (
+    !Array.isArray(managedPolicies) ||
+    managedPolicies.some((arn) => !/^arn:aws[\w-]*:iam::(aws|\d{12}):policy\/.+$/.test(arn))
+  ) {
+    throw new Error(`${where}: "iam.managedPolicies" must be a list of IAM policy ARNs`);
+  }
+  if (!isPlainObject(policies)) {
+    throw new Error(`${where}: "iam.policies" must be a map of name: statements`);
+  }
+
+  const documents = {};
+  for (const [name, value] of Object.entries(policies)) {
+    if (!/^[\w+=,.@-]{1,128}$/.test(name)) {
+      throw new Error(`${where}: invalid IAM policy name "${name}"`);
+    }
+    const statements = Array.isArray(value) ? value : value?.Statement;
+    if (!Array.isArray(statements) || !statements.length) {
+      throw new Error(`${where}: iam.policies.${name} must be a list of statements`);
+    }
+    statements.forEach((statement, i) => {
+      const at = `iam.policies.${name}[${i}]`;
+      if (!isPlainObject(statement) || !["Allow", "Deny"].includes(statement.Effect)) {
+        throw new Error(`${where}: ${at} needs Effect: Allow or Deny`);
+      }
+      if (!statement.Action && !statement.NotAction) {
+        throw new Error(`${where}: ${at} needs an Action`);
+      }
+      if (!statement.Resource && !statement.NotResource) {
+        throw new Error(`${where}: ${at} needs a Resource (use "*" only if you mean it)`);
+      }
+    });
+    documents[name] = { Version: "2012-10-17", Statement: statements };
+  }
+  return { managedPolicies: [...new Set(managedPolicies)], policies: documents };
+}
+
+// secrets: NAME -> SSM parameter or Secrets Manager ARN, resolved by ECS
+// when the task starts (written by `mydeploy env set --secret`)
+function normalizeSecrets(secrets, environment, where) {
+  if (secrets === null) return {};
+  if (!isPlainObject(secrets)) {
+    throw new Error(`${where}: "secrets" must be a map of NAME: parameter ARN`);
+  }
+  for (const [name, arn] of Object.entries(secrets)) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`${where}: invalid secret name "${name}"`);
+    }
+    if (typeof arn !== "string" || !/^arn:aws[\w-]*:(ssm|secretsmanager):[\w-]+:\d{12}:/.test(arn)) {
+      throw new Error(`${where}: secrets.${name} must be an SSM parameter or Secrets Manager ARN`);
+    }
+    if (name in environment) {
+      throw new Error(`${where}: ${name} is set both in "environment" and in "secrets"`);
+    }
+  }
+  return secrets;
+}
+
+function normalizeTags(tags, key, where) {
+  if (tags === null) return null;
+  if (!isPlainObject(tags) || !Object.keys(tags).length) {
+    throw new Error(`${where}: "${key}" must be a map of tag: value`);
+  }
+  const out = {};
+  for (const [name, value] of Object.entries(tags)) {
+    if (isPlainObject(value) || Array.isArray(value) || value === null) {
+      throw new Error(`${where}: ${key}.${name} must be a scalar value`);
+    }
+    out[name] = String(value);
+  }
+  return out;
+}
+
+// services:
+//   api: apps/api              # shorthand
+//   worker: { path: apps/worker }
+function normalizeServices(services) {
+  if (services === undefined || services === null) return [];
+  if (!isPlainObject(services)) {
+    throw new Error(`${MANIFEST_FILE}: "services" must map a service name to its directory`);
+  }
+  return Object.entries(services).map(([name, value]) => {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      throw new Error(`${MANIFEST_FILE}: service name "${name}" must be lowercase letters, digits and dashes`);
+    }
+    const dir = typeof value === "string" ? value : value?.path;
+    if (typeof dir !== "string" || !dir || path.isAbsolute(dir) || dir.split(/[\\/]/).includes("..")) {
+      throw new Error(`${MANIFEST_FILE}: services.${name}.path must be a directory inside the repository`);
+    }
+    return { name, path: dir.replace(/\\/g, "/").replace(/\/$/, "") };
+  });
+}
+
+/* ------------------------------------------------------------------ */
+/* 3. Load mydeploy.yaml and resolve one environment                   */
+/* ------------------------------------------------------------------ */
+export async function loadManifest(projectPath, env = "production") {
+  const file = path.join(projectPath, MANIFEST_FILE);
+  const exists = await fs.pathExists(file);
+  let raw = {};
+
+  if (exists) {
+    try {
+      raw = YAML.parse(await fs.readFile(file, "utf8")) || {};
+    } catch (err) {
+      throw new Error(`Failed to parse ${MANIFEST_FILE}: ${err.message}`);
+    }
+    if (!isPlainObject(raw)) {
+      throw new Error(`${MANIFEST_FILE} must contain a mapping at the top level`);
+    }
+  }
+
+  // services only mean something at the repository root
+  const { environments = {}, services, ...base } = raw;
+  if (environments[env] !== undefined && !isPlainObject(environments[env])) {
+    throw new Error(`${MANIFEST_FILE}: environments.${env} must be a mapping`);
+  }
+
+  const settings = deepMerge(deepMerge(structuredClone(DEFAULTS), base), environments[env]);
+  return {
+    path: file,
+    exists,
+    environments: Object.keys(environments),
+    services: normalizeServices(services),
+    ...validate(settings, env),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* 4. Starter manifest written by `mydeploy init`                      */
+/* ------------------------------------------------------------------ */
+function healthCheckBlock(port, healthCheck) {
+  if (!healthCheck) {
+    return `# healthCheck:
+#   command: curl -f http://localhost:${port}/ || exit 1
+#   interval: 30
+#   timeout: 5
+#   retries: 3
+#   startPeriod: 10`;
+  }
+  return `healthCheck:                    # recommended by \`mydeploy init\`
+  path: ${healthCheck.path}
+  command: ${JSON.stringify(healthCheck.command)}
+  interval: 30
+  timeout: 5
+  retries: 3
+  startPeriod: 10`;
+}
+
+function requiredEnvBlock(names) {
+  if (!names?.length) return "";
+  return `
+# Variables the app reads at runtime; deploy warns when one isn't set
+requiredEnv:
+${names.map((name) => `  - ${name}`).join("\n")}
+`;
+}
+
+// AI recommendations (see src/ai/recommendations.js) fill in the size,
+// health check and required variables when available
+export function starterManifest({
+  port = DEFAULTS.port,
+  framework,
+  cpu = DEFAULTS.cpu,
+  memory = DEFAULTS.memory,
+  healthCheck = null,
+  requiredEnv = [],
+} = {}) {
+  const frameworkLine = framework
+    ? `framework: ${framework}        # pinned by \`mydeploy init\`; see \`mydeploy detect\``
+    : "# framework: node-express     # pin detection; see `mydeploy detect`";
+
+  return `# mydeploy.yaml — deploy settings for \`mydeploy deploy\`
+# Top-level values apply to every environment; anything under
+# environments.<name> overrides them for \`--env <name>\`.
+
+${frameworkLine}
+# cluster: my-app-cluster      # default: <project>-cluster
+# service: my-app-service      # default: <project>-service
+port: ${port}
+${`cpu: ${cpu}`.padEnd(32)}# Fargate CPU units
+${`memory: ${memory}`.padEnd(32)}# MiB, must be valid for the CPU size
+desiredCount: 1
+
+environment:
+  PORT: "${port}"
+${requiredEnvBlock(requiredEnv)}
+${healthCheckBlock(port, healthCheck)}
+
+# deployment:                   # how ECS replaces tasks on deploy
+#   minHealthyPercent: 100
+#   maxPercent: 200
+#   circuitBreaker: true        # stop a rollout whose tasks keep failing…
+#   rollback: true              # …and go back to the last working revision
+#   healthCheckGracePeriod: 60  # seconds before failed ALB health checks count
+
+# loadBalancer:                 # ALB with a stable DNS name in front of the service
+#   certificateArn: arn:aws:acm:us-east-1:123456789012:certificate/…   # enables HTTPS
+#   healthCheckPath: /health    # default: healthCheck.path, else /
+
+# iam:                          # the task role has no permissions unless granted here
+#   policies:
+#     uploads:
+#       - Effect: Allow
+#         Action: [s3:GetObject, s3:PutObject]
+#         Resource: arn:aws:s3:::my-bucket/*
+#   managedPolicies: [arn:aws:iam::aws:policy/AmazonSQSReadOnlyAccess]
+
+# ingress:                      # who may reach the port; default: anyone (or only the ALB)
+#   cidrs: [203.0.113.0/24]
+#   securityGroups: [sg-0123abcd]
+
+# network:                      # default: the region's default VPC, public IPs
+#   vpcTags: { Name: shared }   # or vpcId: vpc-0123abcd
+#   subnetTags: { Tier: app }   # or subnetIds: [subnet-0123abcd, …]
+#   private: true               # no public IP; needs a NAT gateway or VPC endpoints
+#   createVpc: true             # create a small VPC if the region has none
+
+environments:
+  staging:
+    desiredCount: 1
+    environment:
+      APP_ENV: staging
+  production:
+    environment:
+      APP_ENV: production
+`;
+}
+
+export async function writeStarterManifest(projectPath, options) {
+  const file = path.join(projectPath, MANIFEST_FILE);
+  if (await fs.pathExists(file)) return null;
+  await fs.writeFile(file, starterManifest(options));
+  return file;
+}
+
+/* ------------------------------------------------------------------ */
+/* 5. Update one setting, keeping the user's comments                  */
+/* ------------------------------------------------------------------ */
+// `key` is a top-level key or a path such as
+// ["environments", "staging", "environment", "API_URL"]; an undefined
+// value removes it. Returns null when the file already matched.
+export async function saveManifestSetting(projectPath, key, value) {
+  const file = path.join(projectPath, MANIFEST_FILE);
+  const doc = (await fs.pathExists(file))
+    ? YAML.parseDocument(await fs.readFile(file, "utf8"))
+    : new YAML.Document({});
+  if (doc.errors.length) {
+    throw new Error(`Failed to parse ${MANIFEST_FILE}: ${doc.errors[0].message}`);
+  }
+
+  const keyPath = Array.isArray(key) ? key : [key];
+  if (value === undefined) {
+    if (!doc.hasIn(keyPath)) return null;
+    doc.deleteIn(keyPath);
+    // Don't leave an empty "environment: {}" behind
+    const parent = keyPath.slice(0, -1);
+    if (parent.length && YAML.isMap(doc.getIn(parent)) && !doc.getIn(parent).items.length) {
+      doc.deleteIn(parent);
+    }
+  } else {
+    if (doc.getIn(keyPath) === value) return null;
+    doc.setIn(keyPath, value);
+  }
+  await fs.writeFile(file, doc.toString());
+  return file;
+}
+
+// Apply AI recommendations to an existing manifest. Without `overwrite`,
+// only keys the file doesn't set yet are added.
+export async function saveRecommendations(projectPath, rec, { overwrite = false } = {}) {
+  const file = path.join(projectPath, MANIFEST_FILE);
+  const doc = YAML.parseDocument(await fs.readFile(file, "utf8"));
+  if (doc.errors.length) {
+    throw new Error(`Failed to parse ${MANIFEST_FILE}: ${doc.errors[0].message}`);
+  }
+
+  const updates = [
+    [["port"], rec.port],
+    [["cpu"], rec.cpu],
+    [["memory"], rec.memory],
+    [["requiredEnv"], rec.env.length ? rec.env : undefined],
+    [
+      ["healthCheck"],
+      rec.healthCheck && { ...doc.toJS().healthCheck, ...rec.healthCheck },
+    ],
+  ];
+  // Keep the PORT variable in step with the port it describes
+  if (doc.hasIn(["environment", "PORT"])) updates.push([["environment", "PORT"], String(rec.port)]);
+
+  let changed = false;
+  for (const [keyPath, value] of updates) {
+    if (value === undefined || value === null) continue;
+    if (doc.hasIn(keyPath) && !overwrite) continue;
+    const current = doc.getIn(keyPath);
+    const currentValue = YAML.isCollection(current) ? current.toJSON() : current;
+    if (JSON.stringify(currentValue) === JSON.stringify(value)) continue;
+    doc.setIn(keyPath, doc.createNode(value));
+    changed = true;
+  }
+  if (!changed) return null;
+  await fs.writeFile(file, doc.toString());
+  return file;
+}
+
+/* ------------------------------------------------------------------ */
+/* 6. Monorepo root manifest: one entry per deployable service         */
+/* ------------------------------------------------------------------ */
+export function workspaceManifest(services) {
+  const entries = services
+    .map((s) => `  ${s.name}:\n    path: ${s.path}`)
+    .join("\n");
+  return `# mydeploy.yaml — monorepo root for \`mydeploy deploy\`
+# Every service below has its own Dockerfile and mydeploy.yaml in its
+# directory, and deploys to its own ECS service in one shared cluster.
+# Deploy a subset with \`mydeploy deploy --only api,worker\`.
+
+# cluster: my-app-cluster      # default: <repo>-cluster
+services:
+${entries}
+`;
+}
+
+// Create the root manifest, or add services it doesn't list yet
+export async function saveWorkspaceServices(rootPath, services) {
+  const file = path.join(rootPath, MANIFEST_FILE);
+  if (!(await fs.pathExists(file))) {
+    await fs.writeFile(file, workspaceManifest(services));
+    return { file, action: "create" };
+  }
+
+  const doc = YAML.parseDocument(await fs.readFile(file, "utf8"));
+  if (doc.errors.length) {
+    throw new Error(`Failed to parse ${MANIFEST_FILE}: ${doc.errors[0].message}`);
+  }
+  const missing = services.filter((s) => !doc.hasIn(["services", s.name]));
+  if (!missing.length) return null;
+  for (const s of missing) doc.setIn(["services", s.name], doc.createNode({ path: s.path }));
+  await fs.writeFile(file, doc.toString());
+  return { file, action: "update" };
+}
@@ -0,0 +1,132 @@
+// src/utils/project.js
+import path from "path";
+import crypto from "crypto";
+import fs from "fs-extra";
+import { loadManifest, MANIFEST_FILE } from "./manifest.js";
+
+const sanitize = (name) => name.toLowerCase().replace(/[^a-z0-9-]/g, "-");
+
+// "<base>-<suffix>" within an AWS name limit. Names that fit are used as-is,
+// so existing resources keep theirs. Longer ones keep a prefix plus a hash of
+// the whole base: the env sits at its end and would otherwise be cut off,
+// giving every env the same name.
+export function cappedName(base, suffix, max) {
+  const name = `${base}-${suffix}`;
+  if (name.length <= max) return name;
+  const hash = crypto.createHash("sha256").update(base).digest("hex").slice(0, 8);
+  const head = base.slice(0, max - suffix.length - hash.length - 2).replace(/-+$/, "");
+  return `${head}-${hash}-${suffix}`;
+}
+
+async function readProjectName(dir) {
+  const pkgPath = path.join(dir, "package.json");
+  return fs.existsSync(pkgPath)
+    ? JSON.parse(await fs.readFile(pkgPath, "utf8")).name || path.basename(dir)
+    : path.basename(dir);
+}
+
+/* ------------------------------------------------------------------ */
+/* Monorepo lookup: the nearest ancestor mydeploy.yaml listing this    */
+/* directory under `services`                                          */
+/* ------------------------------------------------------------------ */
+export async function findMonorepoRoot(resolvedPath, env = "production") {
+  let dir = path.dirname(resolvedPath);
+  while (dir !== path.dirname(dir)) {
+    if (await fs.pathExists(path.join(dir, MANIFEST_FILE))) {
+      const manifest = await loadManifest(dir, env);
+      const service = manifest.services.find(
+        (s) => path.resolve(dir, s.path) === resolvedPath
+      );
+      if (service) return { rootPath: dir, service, manifest };
+    }
+    if (await fs.pathExists(path.join(dir, ".git"))) return null;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+/* ------------------------------------------------------------------ */
+/* Resolve the AWS resource names for a project + environment          */
+/* Precedence: CLI flag → mydeploy.yaml → CLUSTER_NAME/SERVICE_NAME    */
+/* ------------------------------------------------------------------ */
+export async function resolveDeployNames(
+  resolvedPath,
+  { env = "production", cluster, service } = {}
+) {
+  const manifest = await loadManifest(resolvedPath, env);
+  if (manifest.services.length) {
+    throw new Error(
+      `${resolvedPath} is a monorepo root. Point the command at one service directory: ` +
+        manifest.services.map((s) => s.path).join(", ")
+    );
+  }
+
+  // Monorepo services share the root's cluster and are prefixed with its name
+  const workspace = await findMonorepoRoot(resolvedPath, env);
+  if (workspace) {
+    const rootName = sanitize(await readProjectName(workspace.rootPath));
+    const sanitizedName = `${rootName}-${workspace.service.name}`;
+    return buildNames({
+      projectName: `${rootName}/${workspace.service.name}`,
+      sanitizedName,
+      clusterName:
+        cluster ||
+        manifest.cluster ||
+        workspace.manifest.cluster ||
+        process.env.CLUSTER_NAME ||
+        `${rootName}-cluster`,
+      serviceName: service || manifest.service || `${sanitizedName}-service`,
+      env,
+      manifest,
+      workspace,
+    });
+  }
+
+  const projectName = await readProjectName(resolvedPath);
+  const sanitizedName = sanitize(projectName);
+
+  return buildNames({
+    projectName,
+    sanitizedName,
+    clusterName:
+      cluster || manifest.cluster || process.env.CLUSTER_NAME || `${sanitizedName}-cluster`,
+    serviceName:
+      service || manifest.service || process.env.SERVICE_NAME || `${sanitizedName}-service`,
+    env,
+    manifest,
+    workspace: null,
+  });
+}
+
+function buildNames({ projectName, sanitizedName, clusterName, serviceName, env, manifest, workspace }) {
+  const repositoryName = `${sanitizedName}-${env}`;
+  const family = `${repositoryName}-task`;
+
+  return {
+    projectName,
+    sanitizedName,
+    clusterName,
+    serviceName,
+    repositoryName,
+    family,
+    containerName: repositoryName,
+    logGroupName: `/ecs/${family}`,
+    manifest,
+    workspace,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* --only api,worker → the matching services, in manifest order        */
+/* ------------------------------------------------------------------ */
+export function selectServices(services, only) {
+  if (!only) return services;
+  const wanted = only.split(",").map((s) => s.trim()).filter(Boolean);
+  const unknown = wanted.filter((name) => !services.some((s) => s.name === name));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown service(s): ${unknown.join(", ")}. Available: ${services.map((s) => s.name).join(", ")}`
+    );
+  }
+  return services.filter((s) => wanted.includes(s.name));
+}
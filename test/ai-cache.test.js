@@ -0,0 +1,73 @@
+// test/ai-cache.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+import { analyzeProject } from "../src/ai/analyzeProject.js";
+import { cacheKey } from "../src/ai/cache.js";
+import { resolveAIConfig } from "../src/ai/providers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, "fixtures");
+// An OpenAI reply for test/fixtures/node-express. When the prompt changes,
+// re-record with MYDEPLOY_CACHE_DIR pointing here and `mydeploy init --record`.
+const recordedDir = path.join(fixturesDir, "ai-responses");
+
+const AI_ENV = ["AI_PROVIDER", "AI_MODEL", "AI_BASE_URL", "OPENAI_API_KEY"];
+const savedEnv = {};
+let projectPath;
+
+before(async () => {
+  for (const name of AI_ENV) {
+    savedEnv[name] = process.env[name];
+    delete process.env[name];
+  }
+  // analyzeProject writes a Dockerfile, so work on a copy of the fixture
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), "mydeploy-replay-"));
+  await fs.copy(path.join(fixturesDir, "node-express"), projectPath);
+});
+
+after(async () => {
+  for (const name of AI_ENV) {
+    if (savedEnv[name] === undefined) delete process.env[name];
+    else process.env[name] = savedEnv[name];
+  }
+  await fs.remove(projectPath);
+});
+
+test("cache key includes the endpoint", () => {
+  const config = { provider: "openai-compatible", model: "llama3" };
+  const local = cacheKey({ ...config, baseUrl: "http://localhost:11434/v1" }, "prompt");
+  const remote = cacheKey({ ...config, baseUrl: "http://gpu-box:11434/v1" }, "prompt");
+
+  assert.notEqual(local, remote);
+  assert.equal(cacheKey(config, "prompt"), cacheKey({ ...config, baseUrl: "" }, "prompt"));
+});
+
+test("analyzeProject replays recorded responses without an API key", async (t) => {
+  // The CLI's progress output would interleave with the test runner's report
+  t.mock.method(console, "log", () => {});
+  const ai = resolveAIConfig({ provider: "openai" });
+  assert.ok(!ai.apiKey);
+
+  const recorded = await fs.readdir(recordedDir);
+  const result = await analyzeProject(projectPath, {
+    ai,
+    cache: "replay",
+    cacheDir: recordedDir,
+    framework: "node-express",
+  });
+
+  // A cache miss would fall back to the template and return no recommendations
+  assert.ok(result.recommendations, "no recorded response matched the prompt");
+  assert.equal(result.port, 4000);
+  assert.equal(result.recommendations.healthCheck.path, "/");
+  assert.equal(
+    await fs.readFile(path.join(projectPath, "Dockerfile"), "utf8"),
+    result.recommendations.dockerfile
+  );
+  // Replay never writes to the cache
+  assert.deepEqual(await fs.readdir(recordedDir), recorded);
+});
@@ -0,0 +1,3 @@
+SECRET_KEY = "fixture"
+ALLOWED_HOSTS = ["*"]
+ROOT_URLCONF = "mysite.urls"
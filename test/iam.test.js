@@ -0,0 +1,26 @@
+// test/iam.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { executionRoleName, taskRoleName } from "../src/aws/iam.js";
+
+// IAM role names: 1-64 of letters, digits and +=,.@_-
+const VALID = /^[\w+=,.@-]{1,64}$/;
+const REPO = "acme-platform-customer-notification-dispatcher-api";
+
+test("long repository names stay unique per env", () => {
+  for (const roleName of [executionRoleName, taskRoleName]) {
+    const production = roleName(`${REPO}-production`);
+    const staging = roleName(`${REPO}-staging`);
+
+    assert.match(production, VALID);
+    assert.match(staging, VALID);
+    assert.notEqual(production, staging);
+  }
+  assert.ok(executionRoleName(`${REPO}-production`).endsWith("-execution-role"));
+  assert.ok(taskRoleName(`${REPO}-production`).endsWith("-task-role"));
+});
+
+test("names that fit are unchanged", () => {
+  assert.equal(executionRoleName("shop-api-production"), "shop-api-production-execution-role");
+  assert.equal(taskRoleName("shop-api-production"), "shop-api-production-task-role");
+});
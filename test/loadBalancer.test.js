@@ -0,0 +1,71 @@
+// test/loadBalancer.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DescribeTargetGroupsCommand } from "@aws-sdk/client-elastic-load-balancing-v2";
+import { loadBalancerNames, planDestroyLoadBalancer } from "../src/aws/loadBalancer.js";
+
+// ALB and target group names: 1-32 alphanumerics or hyphens, no hyphen at either end
+const VALID = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+
+test("long repository names stay unique per env", () => {
+  const production = loadBalancerNames("customer-notification-service-production", 8080);
+  const staging = loadBalancerNames("customer-notification-service-staging", 8080);
+
+  for (const names of [production, staging]) {
+    assert.match(names.loadBalancerName, VALID);
+    assert.match(names.targetGroupName, VALID);
+  }
+  assert.notEqual(production.loadBalancerName, staging.loadBalancerName);
+  assert.notEqual(production.targetGroupName, staging.targetGroupName);
+});
+
+test("target group names change with the container port", () => {
+  const repo = "customer-notification-service-production";
+  const a = loadBalancerNames(repo, 8080).targetGroupName;
+  const b = loadBalancerNames(repo, 65535).targetGroupName;
+
+  assert.notEqual(a, b);
+  assert.match(b, VALID);
+  assert.ok(b.endsWith("-65535-tg"));
+});
+
+test("names that fit are unchanged", () => {
+  assert.deepEqual(loadBalancerNames("shop-api-production", 3000), {
+    loadBalancerName: "shop-api-production-alb",
+    targetGroupName: "shop-api-production-3000-tg",
+    securityGroupName: "shop-api-production-alb-sg",
+  });
+});
+
+test("destroy finds target groups left by an earlier container port", async () => {
+  const repo = "shop-api-production";
+  const pages = {
+    undefined: {
+      TargetGroups: [
+        { TargetGroupName: "shop-api-production-3000-tg", TargetGroupArn: "arn:tg/3000" },
+        { TargetGroupName: "shop-api-staging-3000-tg", TargetGroupArn: "arn:tg/staging" },
+      ],
+      NextMarker: "page-2",
+    },
+    "page-2": {
+      TargetGroups: [{ TargetGroupName: "shop-api-production-8080-tg", TargetGroupArn: "arn:tg/8080" }],
+    },
+  };
+  const elb = {
+    async send(command) {
+      if (command instanceof DescribeTargetGroupsCommand) return pages[command.input.Marker];
+      const err = new Error("not found");
+      err.name = "LoadBalancerNotFoundException";
+      throw err;
+    },
+  };
+
+  assert.deepEqual(await planDestroyLoadBalancer(elb, repo), {
+    name: null,
+    arn: null,
+    targetGroups: [
+      { name: "shop-api-production-3000-tg", arn: "arn:tg/3000" },
+      { name: "shop-api-production-8080-tg", arn: "arn:tg/8080" },
+    ],
+  });
+});
@@ -0,0 +1,63 @@
+// test/templates.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import ejs from "ejs";
+import { fileURLToPath } from "url";
+import { inferTemplateVars } from "../src/ai/templateVars.js";
+import { lintDockerfile } from "../src/utils/dockerfile.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const templatesDir = path.join(__dirname, "../src/templates");
+const fixturesDir = path.join(__dirname, "fixtures");
+
+// Every fallback template, so a new one without a fixture fails here
+const frameworks = (await fs.readdir(templatesDir))
+  .map((f) => f.match(/^Dockerfile-(.+)\.ejs$/)?.[1])
+  .filter(Boolean)
+  .sort();
+
+async function render(framework) {
+  const projectPath = path.join(fixturesDir, framework);
+  const vars = await inferTemplateVars(framework, projectPath);
+  const text = await ejs.renderFile(path.join(templatesDir, `Dockerfile-${framework}.ejs`), vars, {});
+  return { projectPath, vars, text };
+}
+
+for (const framework of frameworks) {
+  test(`Dockerfile-${framework}.ejs renders a clean Dockerfile`, async () => {
+    const projectPath = path.join(fixturesDir, framework);
+    assert.ok(await fs.pathExists(projectPath), `missing fixture test/fixtures/${framework}`);
+
+    const { text } = await render(framework);
+    assert.doesNotMatch(text, /<%|%>|undefined|\[object Object\]/);
+    assert.deepEqual(await lintDockerfile(text, projectPath), []);
+  });
+}
+
+test("inferred values reach the rendered Dockerfile", async () => {
+  const expectations = {
+    "node-express": ["FROM node:20-alpine", "RUN npm ci --omit=dev", 'CMD ["node","server.js"]', "EXPOSE 4000"],
+    "node-fastify": ["RUN corepack enable", "COPY package.json pnpm-lock.yaml ./", "--frozen-lockfile"],
+    "node-nestjs": ["FROM node:22-alpine", "COPY package.json yarn.lock ./", "yarn install --frozen-lockfile"],
+    "node-nextjs": ["COPY package.json ./", "RUN npm install"],
+    "python-django": ["FROM python:3.12-slim", "gunicorn mysite.wsgi:application"],
+    "python-fastapi": ["COPY pyproject.toml uv.lock ./", "uv sync --frozen", "uvicorn main:api"],
+    "python-flask": ["FROM python:3.11-slim", "COPY Pipfile Pipfile.lock ./", "gunicorn app:app"],
+    go: ["FROM golang:1.22-alpine", "COPY go.mod go.sum ./", "./cmd/server", "EXPOSE 9090"],
+    "java-springboot": ["FROM eclipse-temurin:17-jdk", "COPY mvnw .", "./mvnw", "EXPOSE 8081"],
+    "java-springboot-gradle": ["FROM gradle:8-jdk21", "gradle bootJar"],
+    rust: ["FROM rust:1.78-slim", "--locked --bin fixture-server", "EXPOSE 8000"],
+    dotnet: ["COPY Api.csproj packages.lock.json ./", "--locked-mode", '"Api.dll"'],
+    "static-spa": ["RUN npm run build", "/app/dist /usr/share/nginx/html", "EXPOSE 8080"],
+  };
+  assert.deepEqual(Object.keys(expectations).sort(), frameworks);
+
+  for (const [framework, snippets] of Object.entries(expectations)) {
+    const { text } = await render(framework);
+    for (const snippet of snippets) {
+      assert.ok(text.includes(snippet), `Dockerfile-${framework} lacks "${snippet}":\n${text}`);
+    }
+  }
+});